@@ -0,0 +1,266 @@
+/**
+ * Minimal PNG codec and compositor for responsive_sheet contact sheets,
+ * built on node:zlib so the server needs no image dependencies.
+ *
+ * decodePng reads 8/16-bit, non-interlaced images of every colour type and
+ * throws a clear "unsupported PNG" error for anything else (1/2/4-bit
+ * samples, Adam7 interlacing). encodePng writes opaque 8-bit RGB. drawImage
+ * box-filter scales, drawText renders a 5×7 bitmap font, and composeSheet
+ * lays captures out with labels.
+ */
+
+import { inflateSync, deflateSync } from 'node:zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export function crc32(buffer) {
+  let c = 0xffffffff;
+  for (const byte of buffer) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function paeth(left, up, upLeft) {
+  const p = left + up - upLeft;
+  const pa = Math.abs(p - left);
+  const pb = Math.abs(p - up);
+  const pc = Math.abs(p - upLeft);
+  if (pa <= pb && pa <= pc) return left;
+  return pb <= pc ? up : upLeft;
+}
+
+/** Decode a PNG buffer into { width, height, rgba } with 8 bits per channel. */
+export function decodePng(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error('not a PNG image');
+  let header = null;
+  let palette = null;
+  let paletteAlpha = null;
+  const idat = [];
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+    if (type === 'IHDR') {
+      header = { width: data.readUInt32BE(0), height: data.readUInt32BE(4), bitDepth: data[8], colorType: data[9], interlace: data[12] };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      paletteAlpha = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+  if (!header) throw new Error('PNG has no IHDR chunk');
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (!channels || (bitDepth !== 8 && !(bitDepth === 16 && colorType !== 3)) || interlace !== 0 || (colorType === 3 && !palette)) {
+    throw new Error(`unsupported PNG (colour type ${colorType}, ${bitDepth}-bit${interlace ? ', interlaced' : ''})`);
+  }
+
+  const sampleBytes = bitDepth / 8;
+  const bpp = channels * sampleBytes;
+  const stride = width * bpp;
+  const raw = inflateSync(Buffer.concat(idat));
+  if (raw.length < (stride + 1) * height) throw new Error('PNG image data is truncated');
+  const rgba = Buffer.alloc(width * height * 4);
+  let prev = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    if (filter > 4) throw new Error(`PNG row ${y} uses unknown filter ${filter}`);
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bpp ? line[i - bpp] : 0;
+      const up = prev[i];
+      let predictor = 0;
+      if (filter === 1) predictor = left;
+      else if (filter === 2) predictor = up;
+      else if (filter === 3) predictor = (left + up) >> 1;
+      else if (filter === 4) predictor = paeth(left, up, i >= bpp ? prev[i - bpp] : 0);
+      line[i] = (line[i] + predictor) & 0xff;
+    }
+    for (let x = 0; x < width; x++) {
+      // 16-bit samples keep their high byte.
+      const sample = (c) => line[x * bpp + c * sampleBytes];
+      const o = (y * width + x) * 4;
+      if (colorType === 3) {
+        const index = line[x];
+        rgba[o] = palette[index * 3];
+        rgba[o + 1] = palette[index * 3 + 1];
+        rgba[o + 2] = palette[index * 3 + 2];
+        rgba[o + 3] = paletteAlpha && index < paletteAlpha.length ? paletteAlpha[index] : 255;
+      } else if (channels <= 2) {
+        rgba[o] = rgba[o + 1] = rgba[o + 2] = sample(0);
+        rgba[o + 3] = channels === 2 ? sample(1) : 255;
+      } else {
+        rgba[o] = sample(0);
+        rgba[o + 1] = sample(1);
+        rgba[o + 2] = sample(2);
+        rgba[o + 3] = channels === 4 ? sample(3) : 255;
+      }
+    }
+    prev = line;
+  }
+  return { width, height, rgba };
+}
+
+/** Encode an opaque { width, height, rgba } image as an 8-bit RGB PNG. */
+export function encodePng({ width, height, rgba }) {
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * (stride + 1);
+    raw[row] = 1; // "Sub" filter: flat UI areas compress to almost nothing
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < 3; c++) {
+        const value = rgba[(y * width + x) * 4 + c];
+        const left = x > 0 ? rgba[(y * width + x - 1) * 4 + c] : 0;
+        raw[row + 1 + x * 3 + c] = (value - left) & 0xff;
+      }
+    }
+  }
+  const chunk = (type, data) => {
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 2; // RGB
+  return Buffer.concat([PNG_SIGNATURE, chunk('IHDR', ihdr), chunk('IDAT', deflateSync(raw)), chunk('IEND', Buffer.alloc(0))]);
+}
+
+function fillRect(image, x, y, w, h, [r, g, b]) {
+  for (let yy = y; yy < y + h; yy++) {
+    for (let xx = x; xx < x + w; xx++) {
+      const o = (yy * image.width + xx) * 4;
+      image.rgba[o] = r;
+      image.rgba[o + 1] = g;
+      image.rgba[o + 2] = b;
+      image.rgba[o + 3] = 255;
+    }
+  }
+}
+
+// Draw `src` scaled to w×h at (x, y). Each target pixel averages the source
+// pixels it covers (nearest neighbour when enlarging) and is alpha-blended
+// over what is already there.
+export function drawImage(dest, src, x, y, w, h) {
+  const sx = src.width / w;
+  const sy = src.height / h;
+  for (let ty = 0; ty < h; ty++) {
+    const y0 = Math.floor(ty * sy);
+    const y1 = Math.max(y0 + 1, Math.floor((ty + 1) * sy));
+    for (let tx = 0; tx < w; tx++) {
+      const x0 = Math.floor(tx * sx);
+      const x1 = Math.max(x0 + 1, Math.floor((tx + 1) * sx));
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let yy = y0; yy < y1; yy++) {
+        for (let xx = x0; xx < x1; xx++) {
+          const i = (yy * src.width + xx) * 4;
+          const alpha = src.rgba[i + 3];
+          r += src.rgba[i] * alpha;
+          g += src.rgba[i + 1] * alpha;
+          b += src.rgba[i + 2] * alpha;
+          a += alpha;
+        }
+      }
+      if (a === 0) continue;
+      const coverage = a / ((y1 - y0) * (x1 - x0) * 255);
+      const o = ((y + ty) * dest.width + x + tx) * 4;
+      dest.rgba[o] = Math.round((r / a) * coverage + dest.rgba[o] * (1 - coverage));
+      dest.rgba[o + 1] = Math.round((g / a) * coverage + dest.rgba[o + 1] * (1 - coverage));
+      dest.rgba[o + 2] = Math.round((b / a) * coverage + dest.rgba[o + 2] * (1 - coverage));
+    }
+  }
+}
+
+// 5×7 glyphs, one hex byte per row (bit 4 = leftmost column). Labels are
+// upper-cased; anything else renders as "?".
+const LABEL_FONT = {
+  'A': '0e11111f111111', 'B': '1e11111e11111e', 'C': '0e11101010110e', 'D': '1c12111111121c',
+  'E': '1f10101e10101f', 'F': '1f10101e101010', 'G': '0e11101711110f', 'H': '1111111f111111',
+  'I': '0e04040404040e', 'J': '0702020202120c', 'K': '11121418141211', 'L': '1010101010101f',
+  'M': '111b1515111111', 'N': '11111915131111', 'O': '0e11111111110e', 'P': '1e11111e101010',
+  'Q': '0e11111115120d', 'R': '1e11111e141211', 'S': '0f10100e01011e', 'T': '1f040404040404',
+  'U': '1111111111110e', 'V': '11111111110a04', 'W': '1111111515150a', 'X': '11110a040a1111',
+  'Y': '1111110a040404', 'Z': '1f01020408101f',
+  '0': '0e11131519110e', '1': '040c040404040e', '2': '0e11010204081f', '3': '1f02040201110e',
+  '4': '02060a121f0202', '5': '1f101e0101110e', '6': '0608101e11110e', '7': '1f010204080808',
+  '8': '0e11110e11110e', '9': '0e11110f01020c',
+  ' ': '00000000000000', '-': '0000001f000000', '.': '00000000000c0c', '_': '0000000000001f',
+  '(': '02040808080402', ')': '08040202020408', '/': '00010204081000', ':': '000c0c000c0c00',
+  '×': '0000110a040a11', '?': '0e110102040004',
+};
+
+const LABEL_SCALE = 2; // screen pixels per font pixel
+const LABEL_ADVANCE = 6 * LABEL_SCALE;
+
+// Draw one line of label text at (x, y), cut to fit `maxWidth`.
+export function drawText(image, text, x, y, maxWidth, color) {
+  const chars = [...text.toUpperCase()].slice(0, Math.max(0, Math.floor((maxWidth + LABEL_SCALE) / LABEL_ADVANCE)));
+  chars.forEach((char, n) => {
+    const glyph = LABEL_FONT[char] || LABEL_FONT['?'];
+    for (let row = 0; row < 7; row++) {
+      const bits = parseInt(glyph.slice(row * 2, row * 2 + 2), 16);
+      for (let col = 0; col < 5; col++) {
+        if (bits & (0x10 >> col)) {
+          fillRect(image, x + n * LABEL_ADVANCE + col * LABEL_SCALE, y + row * LABEL_SCALE, LABEL_SCALE, LABEL_SCALE, color);
+        }
+      }
+    }
+  });
+}
+
+const SHEET_GAP = 32; // margin around and between cells
+const SHEET_LABEL_HEIGHT = 2 * 7 * LABEL_SCALE + 20; // two label lines and spacing
+const SHEET_MAX_PIXELS = 25_000_000;
+
+/**
+ * Lay `cells` ({ title, subtitle, image }) out in rows of `columns`, each
+ * scaled to `cellHeight` with a two-line label above it, and encode the sheet
+ * as a PNG. Returns { png, width, height }.
+ */
+export function composeSheet(cells, { columns, cellHeight, background }) {
+  const sized = cells.map((cell) => ({ ...cell, w: Math.max(1, Math.round((cell.image.width * cellHeight) / cell.image.height)) }));
+  const rows = [];
+  for (let i = 0; i < sized.length; i += columns) rows.push(sized.slice(i, i + columns));
+  const width = Math.max(...rows.map((row) => row.reduce((sum, cell) => sum + cell.w + SHEET_GAP, SHEET_GAP)));
+  const height = SHEET_GAP + rows.length * (SHEET_LABEL_HEIGHT + cellHeight + SHEET_GAP);
+  if (width * height > SHEET_MAX_PIXELS) {
+    throw new Error(`the sheet would be ${width}×${height} px, over the ${SHEET_MAX_PIXELS / 1e6}M pixel limit. Lower cellHeight or use more rows (columns).`);
+  }
+
+  const sheet = { width, height, rgba: Buffer.alloc(width * height * 4) };
+  fillRect(sheet, 0, 0, width, height, background);
+  // Dark ink on light backgrounds, light ink on dark ones.
+  const [r, g, b] = background;
+  const ink = 0.299 * r + 0.587 * g + 0.114 * b > 140 ? [24, 24, 27] : [244, 244, 245];
+  let y = SHEET_GAP;
+  for (const row of rows) {
+    let x = SHEET_GAP;
+    for (const cell of row) {
+      drawText(sheet, cell.title, x, y, cell.w, ink);
+      drawText(sheet, cell.subtitle, x, y + 7 * LABEL_SCALE + 6, cell.w, ink);
+      drawImage(sheet, cell.image, x, y + SHEET_LABEL_HEIGHT, cell.w, cellHeight);
+      x += cell.w + SHEET_GAP;
+    }
+    y += SHEET_LABEL_HEIGHT + cellHeight + SHEET_GAP;
+  }
+  return { png: encodePng(sheet), width, height };
+}
@@ -0,0 +1,169 @@
+// Unit tests for the PNG codec and compositor behind responsive_sheet.
+// Run with: `npm test`.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+import { crc32, decodePng, encodePng, composeSheet } from '../src/png.mjs';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function chunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Build a PNG by hand. `rows` are the raw scanlines, each starting with its
+// filter byte; `chunks` go between IHDR and IDAT (PLTE, tRNS …).
+function buildPng({ width, height, bitDepth = 8, colorType, interlace = 0 }, rows, chunks = []) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = bitDepth;
+  ihdr[9] = colorType;
+  ihdr[12] = interlace;
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', ihdr),
+    ...chunks,
+    chunk('IDAT', deflateSync(Buffer.concat(rows.map((row) => Buffer.from(row))))),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// Walk the chunks of a PNG: [{ type, data, crc }].
+function chunksOf(png) {
+  const chunks = [];
+  for (let offset = 8; offset < png.length;) {
+    const length = png.readUInt32BE(offset);
+    chunks.push({
+      type: png.toString('latin1', offset + 4, offset + 8),
+      data: png.subarray(offset + 8, offset + 8 + length),
+      crc: png.readUInt32BE(offset + 8 + length),
+      body: png.subarray(offset + 4, offset + 8 + length),
+    });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.from('IEND')), 0xae426082);
+});
+
+test('decodePng reads RGBA, RGB, palette, grayscale and 16-bit images through every filter', () => {
+  // 2×2 RGBA: row 0 unfiltered, row 1 "Up" (deltas against row 0).
+  const rgba = decodePng(buildPng({ width: 2, height: 2, colorType: 6 }, [
+    [0, 255, 0, 0, 255, 0, 255, 0, 128],
+    [2, 0, 0, 255, 0, 0, 0, 0, 127],
+  ]));
+  assert.equal(rgba.width, 2);
+  assert.equal(rgba.height, 2);
+  assert.deepEqual([...rgba.rgba], [255, 0, 0, 255, 0, 255, 0, 128, 255, 0, 255, 255, 0, 255, 0, 255]);
+
+  // 3×1 RGB with "Sub", then 3×2 with "Average" and "Paeth" on the second row.
+  const sub = decodePng(buildPng({ width: 3, height: 1, colorType: 2 }, [[1, 10, 20, 30, 5, 5, 5, 5, 5, 5]]));
+  assert.deepEqual([...sub.rgba], [10, 20, 30, 255, 15, 25, 35, 255, 20, 30, 40, 255]);
+  const avg = decodePng(buildPng({ width: 1, height: 2, colorType: 2 }, [[0, 100, 100, 100], [3, 10, 10, 10]]));
+  assert.deepEqual([...avg.rgba.subarray(4)], [60, 60, 60, 255]); // 10 + floor((0 + 100) / 2)
+  const paeth = decodePng(buildPng({ width: 2, height: 2, colorType: 0 }, [[0, 50, 80], [4, 1, 2]]));
+  // Row 1: x0 predicts up (50), x1 picks between left 51, up 80, up-left 50 → 80.
+  assert.deepEqual([...paeth.rgba.subarray(8)], [51, 51, 51, 255, 82, 82, 82, 255]);
+
+  // Palette with tRNS: index 1 is half transparent, index 0 falls back to opaque.
+  const indexed = decodePng(buildPng({ width: 2, height: 1, colorType: 3 }, [[0, 1, 0]], [
+    chunk('PLTE', Buffer.from([1, 2, 3, 200, 201, 202])),
+    chunk('tRNS', Buffer.from([255, 64])),
+  ]));
+  assert.deepEqual([...indexed.rgba], [200, 201, 202, 64, 1, 2, 3, 255]);
+
+  // 16-bit grayscale + alpha keeps the high byte of each sample.
+  const deep = decodePng(buildPng({ width: 1, height: 1, bitDepth: 16, colorType: 4 }, [[0, 0x12, 0x34, 0x80, 0xff]]));
+  assert.deepEqual([...deep.rgba], [0x12, 0x12, 0x12, 0x80]);
+});
+
+test('encodePng writes a valid 8-bit RGB PNG', () => {
+  const image = { width: 3, height: 2, rgba: Buffer.from([
+    255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255,
+    9, 9, 9, 255, 200, 100, 50, 255, 255, 255, 255, 255,
+  ]) };
+  const png = encodePng(image);
+  assert.ok(png.subarray(0, 8).equals(SIGNATURE));
+  const chunks = chunksOf(png);
+  assert.deepEqual(chunks.map((c) => c.type), ['IHDR', 'IDAT', 'IEND']);
+  for (const c of chunks) assert.equal(c.crc, crc32(c.body), `${c.type} CRC`);
+  const ihdr = chunks[0].data;
+  assert.equal(ihdr.readUInt32BE(0), 3);
+  assert.equal(ihdr.readUInt32BE(4), 2);
+  assert.equal(ihdr[8], 8);
+  assert.equal(ihdr[9], 2);
+  assert.equal(ihdr[12], 0);
+});
+
+test('encodePng then decodePng round-trips an opaque image', () => {
+  const width = 37;
+  const height = 11;
+  const rgba = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    rgba[i * 4] = (i * 7) & 0xff;
+    rgba[i * 4 + 1] = (i * 13 + 5) & 0xff;
+    rgba[i * 4 + 2] = (255 - i) & 0xff;
+    rgba[i * 4 + 3] = 255;
+  }
+  const decoded = decodePng(encodePng({ width, height, rgba }));
+  assert.equal(decoded.width, width);
+  assert.equal(decoded.height, height);
+  assert.ok(decoded.rgba.equals(rgba));
+});
+
+test('decodePng rejects low bit depths, interlacing and malformed input with a clear error', () => {
+  // 1/2/4-bit samples and Adam7 are not supported; the error names the format.
+  assert.throws(
+    () => decodePng(buildPng({ width: 2, height: 1, bitDepth: 4, colorType: 0 }, [[0, 0x1f]])),
+    /^Error: unsupported PNG \(colour type 0, 4-bit\)$/,
+  );
+  assert.throws(
+    () => decodePng(buildPng({ width: 8, height: 1, bitDepth: 1, colorType: 3 }, [[0, 0xaa]], [chunk('PLTE', Buffer.from([0, 0, 0, 255, 255, 255]))])),
+    /unsupported PNG \(colour type 3, 1-bit\)/,
+  );
+  assert.throws(
+    () => decodePng(buildPng({ width: 1, height: 1, colorType: 2, interlace: 1 }, [[0, 1, 2, 3]])),
+    /^Error: unsupported PNG \(colour type 2, 8-bit, interlaced\)$/,
+  );
+  assert.throws(() => decodePng(buildPng({ width: 1, height: 1, colorType: 3 }, [[0, 0]])), /unsupported PNG/); // no PLTE
+  assert.throws(() => decodePng(Buffer.from('GIF89a-not-a-png')), /not a PNG image/);
+  assert.throws(() => decodePng(buildPng({ width: 4, height: 4, colorType: 2 }, [[0, 1, 2, 3]])), /truncated/);
+  assert.throws(() => decodePng(buildPng({ width: 1, height: 1, colorType: 0 }, [[7, 0]])), /unknown filter 7/);
+});
+
+test('composeSheet lays cells out on the background and scales them to cellHeight', () => {
+  const red = { width: 4, height: 2, rgba: Buffer.from(Array.from({ length: 8 }, () => [255, 0, 0, 255]).flat()) };
+  const sheet = composeSheet(
+    [{ title: 'Phone', subtitle: '4×2', image: red }, { title: 'Tablet', subtitle: '4×2', image: red }],
+    { columns: 2, cellHeight: 10, background: [255, 255, 255] },
+  );
+  const decoded = decodePng(sheet.png);
+  assert.equal(decoded.width, sheet.width);
+  assert.equal(decoded.height, sheet.height);
+  // Two 20px-wide cells with 32px gaps; one row of label (48px) + cell + gaps.
+  assert.equal(sheet.width, 32 + 20 + 32 + 20 + 32);
+  assert.equal(sheet.height, 32 + 48 + 10 + 32);
+  const pixel = (x, y) => [...decoded.rgba.subarray((y * decoded.width + x) * 4, (y * decoded.width + x) * 4 + 3)];
+  assert.deepEqual(pixel(0, 0), [255, 255, 255]);
+  assert.deepEqual(pixel(32 + 5, 32 + 48 + 5), [255, 0, 0]);
+  assert.deepEqual(pixel(32 + 20 + 32 + 19, 32 + 48 + 9), [255, 0, 0]);
+  // Labels are drawn in dark ink on a light background.
+  const label = [];
+  for (let x = 32; x < 52; x++) for (let y = 32; y < 46; y++) label.push(pixel(x, y)[0]);
+  assert.ok(label.includes(24));
+
+  assert.throws(
+    () => composeSheet([{ title: 'X', subtitle: '', image: { width: 100_000, height: 1, rgba: Buffer.alloc(0) } }], { columns: 1, cellHeight: 1000, background: [0, 0, 0] }),
+    /over the 25M pixel limit/,
+  );
+});
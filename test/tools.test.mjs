@@ -6,19 +6,53 @@
 
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { mkdtempSync, rmSync } from 'node:fs';
+import { mkdtempSync, rmSync, readFileSync } from 'node:fs';
 import { tmpdir } from 'node:os';
 import { join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { deflateSync, inflateSync } from 'node:zlib';
+import dns from 'node:dns';
+import { request as httpRequest } from 'node:http';
+import { execFile } from 'node:child_process';
 
 // Must be set BEFORE importing the server module: skip stdio auto-start and
 // satisfy the required-API-key guard.
 process.env.PAGEBOLT_MCP_NO_AUTOSTART = '1';
 process.env.PAGEBOLT_API_KEY = 'pf_test_key';
 process.env.PAGEBOLT_BASE_URL = 'https://pagebolt.dev';
+// Generous per-session request budget; each test gets a fresh session.
+process.env.PAGEBOLT_SESSION_BUDGET = '12';
+// Response cache on (it is shared across tests, so cached calls use unique URLs).
+process.env.PAGEBOLT_CACHE_TTL_S = '60';
+process.env.PAGEBOLT_CACHE_MAX_MB = '1';
+// Keep retry backoff short.
+process.env.PAGEBOLT_RETRY_BASE_MS = '5';
+// Rate limiter well above what the tests send, unless a test trips it on purpose.
+process.env.PAGEBOLT_RATE_PER_MIN = '6000';
+process.env.PAGEBOLT_RATE_BURST = '100';
+process.env.PAGEBOLT_MAX_CONCURRENCY = '10';
+// Circuit breaker that trips (and recovers) quickly.
+process.env.PAGEBOLT_BREAKER_THRESHOLD = '3';
+process.env.PAGEBOLT_BREAKER_COOLDOWN_MS = '200';
+// Debug logs go to a temp file (read back by the logging test).
+const logDir = mkdtempSync(join(tmpdir(), 'pagebolt-log-'));
+const logFile = join(logDir, 'pagebolt.log');
+process.env.PAGEBOLT_LOG_FILE = logFile;
+process.env.PAGEBOLT_LOG_LEVEL = 'debug';
+process.on('exit', () => rmSync(logDir, { recursive: true, force: true }));
+
+// Sitemap hosts are resolved before they are fetched; answer for the test
+// domains without touching the network.
+const fakeDns = { 'rebind.example.com': ['93.184.216.34', '127.0.0.1'] };
+dns.promises.lookup = async (host) => {
+  if (!host.endsWith('.example.com')) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+  return (fakeDns[host] || ['93.184.216.34']).map((address) => ({ address, family: 4 }));
+};
 
 const { createSandboxServer } = await import('../src/index.mjs');
 const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
 const { InMemoryTransport } = await import('@modelcontextprotocol/sdk/inMemory.js');
+const { ListRootsRequestSchema, LoggingMessageNotificationSchema } = await import('@modelcontextprotocol/sdk/types.js');
 
 // Build a fake fetch Response with just the surface callApi / the video
 // download path rely on.
@@ -48,7 +82,8 @@ function bytesResponse(buffer, { status = 200 } = {}) {
 
 // Connect a fresh client/server pair, routing all HTTP through `handler`.
 // `handler(url, method, body)` returns a fake Response (or throws).
-async function withClient(handler, fn) {
+// `clientOptions` are passed to the Client (e.g. to declare capabilities).
+async function withClient(handler, fn, clientOptions) {
   const prevFetch = global.fetch;
   global.fetch = async (url, options = {}) => {
     const method = options.method || 'GET';
@@ -61,7 +96,7 @@ async function withClient(handler, fn) {
 
   const server = createSandboxServer();
   const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
-  const client = new Client({ name: 'test', version: '0' });
+  const client = new Client({ name: 'test', version: '0' }, clientOptions);
   await Promise.all([
     server.connect(serverTransport),
     client.connect(clientTransport),
@@ -142,6 +177,38 @@ test('observe_page default json format still renders elements (backward compatib
   );
 });
 
+test('inspect_page and observe_page accept links and elements the API returns without href or selector', async () => {
+  await withClient(
+    (url) => {
+      if (url.endsWith('/api/v1/inspect')) {
+        return jsonResponse({
+          url: 'https://nulls.example.com',
+          title: 'Nulls',
+          headings: [{ level: 1, text: null }],
+          elements: [{ tag: 'button', text: 'Go', selector: null }],
+          forms: [],
+          links: [{ href: null, text: 'JS link' }, { href: '/about', text: 'About', selector: 'a.about' }],
+          images: [],
+        });
+      }
+      return jsonResponse({
+        url: 'https://nulls.example.com',
+        pageType: 'generic',
+        elements: [{ id: 'e1', role: 'button', name: 'Go', selector: null }],
+      });
+    },
+    async (client) => {
+      await client.listTools();
+      const inspect = await client.callTool({ name: 'inspect_page', arguments: { url: 'https://nulls.example.com', noCache: true } });
+      assert.equal(inspect.isError, undefined, textOf(inspect));
+      assert.equal(inspect.structuredContent.links[0].href, null);
+      const observe = await client.callTool({ name: 'observe_page', arguments: { url: 'https://nulls.example.com', noCache: true } });
+      assert.equal(observe.isError, undefined, textOf(observe));
+      assert.equal(observe.structuredContent.elements[0].selector, null);
+    },
+  );
+});
+
 test('import_agent_trace dry run (save:false) returns steps without saving, no quota', async () => {
   await withClient(
     (url, method, body) => {
@@ -412,6 +479,29 @@ test('record_video falls back to sync when async enqueue fails', async () => {
   }
 });
 
+test('record_video does not fall back to sync when async is refused for quota or auth', async () => {
+  const bodies = [];
+  let refusal;
+  await withClient(
+    (url, method, body) => {
+      bodies.push(body);
+      return jsonResponse({ error: refusal.error }, { status: refusal.status });
+    },
+    async (client) => {
+      for (refusal of [{ status: 401, error: 'invalid API key' }, { status: 402, error: 'monthly quota exceeded' }]) {
+        bodies.length = 0;
+        const res = await client.callTool({
+          name: 'record_video',
+          arguments: { steps: [{ action: 'navigate', url: 'https://example.com' }], async: true },
+        });
+        assert.equal(res.isError, true);
+        assert.match(textOf(res), new RegExp(refusal.error));
+        assert.deepEqual(bodies.map((b) => b.async), [true], `no sync render after ${refusal.status}`);
+      }
+    },
+  );
+});
+
 test('record_video defaults to async (hosted URL) when no saveTo is given', async () => {
   await withClient(
     (url, method, body) => {
@@ -476,3 +566,1403 @@ test('record_video defaults to sync (inline file) when saveTo is provided', asyn
     rmSync(tmp, { recursive: true, force: true });
   }
 });
+
+test('HTTP transport serves Streamable HTTP, legacy SSE and /health', async () => {
+  const { startHttpServer } = await import('../src/index.mjs');
+  const { StreamableHTTPClientTransport } = await import('@modelcontextprotocol/sdk/client/streamableHttp.js');
+  const { SSEClientTransport } = await import('@modelcontextprotocol/sdk/client/sse.js');
+
+  const httpServer = await startHttpServer({ port: 0, host: '127.0.0.1' });
+  const base = `http://127.0.0.1:${httpServer.address().port}`;
+  try {
+    const health = await fetch(`${base}/health`);
+    assert.equal(health.status, 200);
+    assert.equal((await health.json()).status, 'ok');
+
+    const streamable = new Client({ name: 'test-http', version: '0' });
+    await streamable.connect(new StreamableHTTPClientTransport(new URL(`${base}/mcp`)));
+    const { tools } = await streamable.listTools();
+    assert.ok(tools.some((t) => t.name === 'take_screenshot'));
+
+    const sse = new Client({ name: 'test-sse', version: '0' });
+    await sse.connect(new SSEClientTransport(new URL(`${base}/sse`)));
+    const { tools: sseTools } = await sse.listTools();
+    assert.ok(sseTools.some((t) => t.name === 'record_video'));
+
+    assert.equal((await (await fetch(`${base}/health`)).json()).sessions, 2);
+    await streamable.close();
+    await sse.close();
+
+    const orphan = await fetch(`${base}/mcp`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+    });
+    assert.equal(orphan.status, 400);
+  } finally {
+    await httpServer.shutdown();
+  }
+});
+
+test('HTTP transport refuses requests with a foreign Host or Origin (DNS rebinding)', async () => {
+  const { startHttpServer } = await import('../src/index.mjs');
+  const httpServer = await startHttpServer({ port: 0, host: '127.0.0.1', allowedHosts: ['mcp.example.com'] });
+  const { port } = httpServer.address();
+  // fetch() cannot set Host, so use node:http directly.
+  const status = (path, headers) => new Promise((resolve, reject) => {
+    const req = httpRequest({ host: '127.0.0.1', port, path, method: 'POST', headers: { 'content-type': 'application/json', ...headers } }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }));
+  });
+  try {
+    assert.equal(await status('/mcp', { host: `attacker.example.net:${port}` }), 403);
+    assert.equal(await status('/messages?sessionId=x', { host: `attacker.example.net:${port}` }), 403);
+    assert.equal(await status('/mcp', { host: `localhost:${port}`, origin: 'http://attacker.example.net' }), 403);
+    // Allowed names get past the check (400: no session, not an initialize request).
+    assert.equal(await status('/mcp', { host: `localhost:${port}`, origin: `http://localhost:${port}` }), 400);
+    assert.equal(await status('/mcp', { host: 'mcp.example.com', origin: 'https://mcp.example.com' }), 400);
+
+    const sse = await fetch(`http://127.0.0.1:${port}/sse`, { headers: { origin: 'http://attacker.example.net' } });
+    assert.equal(sse.status, 403);
+  } finally {
+    await httpServer.shutdown();
+  }
+});
+
+test('CLI exits cleanly on an unknown transport, a bad port or a port in use', async () => {
+  const { startHttpServer } = await import('../src/index.mjs');
+  const cli = (...args) => new Promise((resolve) => {
+    const env = { ...process.env, PAGEBOLT_MCP_NO_AUTOSTART: '' };
+    execFile(process.execPath, [fileURLToPath(new URL('../src/index.mjs', import.meta.url)), ...args], { env, timeout: 10_000 },
+      (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stderr }));
+  });
+  const typo = await cli('--transport=htpp');
+  assert.equal(typo.code, 1);
+  assert.match(typo.stderr, /Unknown transport "htpp"/);
+  const badPort = await cli('--http', '--port', 'abc');
+  assert.equal(badPort.code, 1);
+  assert.match(badPort.stderr, /Invalid port "abc"/);
+
+  const httpServer = await startHttpServer({ port: 0, host: '127.0.0.1' });
+  try {
+    const busy = await cli('--http', '--host', '127.0.0.1', '--port', String(httpServer.address().port));
+    assert.equal(busy.code, 1);
+    assert.match(busy.stderr, /failed to start: .*EADDRINUSE/);
+    assert.doesNotMatch(busy.stderr, /UnhandledPromiseRejection/);
+  } finally {
+    await httpServer.shutdown();
+  }
+});
+
+test('HTTP shutdown closes live sessions before dropping connections', async () => {
+  const { startHttpServer } = await import('../src/index.mjs');
+  const { StreamableHTTPClientTransport } = await import('@modelcontextprotocol/sdk/client/streamableHttp.js');
+  const { SSEClientTransport } = await import('@modelcontextprotocol/sdk/client/sse.js');
+
+  const httpServer = await startHttpServer({ port: 0, host: '127.0.0.1' });
+  const base = `http://127.0.0.1:${httpServer.address().port}`;
+  const streamable = new Client({ name: 'test-http', version: '0' });
+  await streamable.connect(new StreamableHTTPClientTransport(new URL(`${base}/mcp`)));
+  const sse = new Client({ name: 'test-sse', version: '0' });
+  await sse.connect(new SSEClientTransport(new URL(`${base}/sse`)));
+  sse.onerror = () => {}; // the SSE client retries once the stream ends
+
+  await httpServer.shutdown();
+  assert.equal(httpServer.listening, false);
+  await streamable.close();
+  await sse.close();
+});
+
+test('HTTP transport attributes calls to each session\'s own API key', async () => {
+  const { startHttpServer } = await import('../src/index.mjs');
+  const { StreamableHTTPClientTransport } = await import('@modelcontextprotocol/sdk/client/streamableHttp.js');
+
+  const seenKeys = [];
+  const realFetch = global.fetch;
+  global.fetch = async (url, options = {}) => {
+    if (String(url).startsWith('https://pagebolt.dev/')) {
+      seenKeys.push(options.headers['x-api-key']);
+      return jsonResponse({ plan: 'starter', usage: { current: 1, limit: 10, remaining: 9 } });
+    }
+    return realFetch(url, options);
+  };
+
+  const httpServer = await startHttpServer({ port: 0, host: '127.0.0.1', requireClientKey: true });
+  const base = new URL(`http://127.0.0.1:${httpServer.address().port}/mcp`);
+  const connect = async (key) => {
+    const client = new Client({ name: 'tenant', version: '0' });
+    const requestInit = key ? { headers: { Authorization: `Bearer ${key}` } } : {};
+    await client.connect(new StreamableHTTPClientTransport(base, { requestInit }));
+    return client;
+  };
+  try {
+    const alice = await connect('pf_alice');
+    const bob = await connect('pf_bob');
+    await alice.callTool({ name: 'check_usage', arguments: {} });
+    await bob.callTool({ name: 'check_usage', arguments: {} });
+    assert.deepEqual(seenKeys, ['pf_alice', 'pf_bob']);
+    await alice.close();
+    await bob.close();
+
+    await assert.rejects(connect(null), /401|API key is required/);
+
+    // A legacy SSE session only accepts messages sent with its own key.
+    const stream = new AbortController();
+    const sse = await fetch(new URL('/sse', base), { headers: { Authorization: 'Bearer pf_alice' }, signal: stream.signal });
+    const reader = sse.body.getReader();
+    let events = '';
+    while (!/sessionId=[^\s]+\n/.test(events)) events += new TextDecoder().decode((await reader.read()).value);
+    const messages = new URL(events.match(/data: (\S+)/)[1], base);
+    const post = (key) => fetch(messages, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', Authorization: `Bearer ${key}` },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' }),
+    });
+    assert.equal((await post('pf_bob')).status, 403);
+    assert.equal((await post('pf_alice')).status, 202);
+    stream.abort();
+  } finally {
+    global.fetch = realFetch;
+    await httpServer.shutdown();
+  }
+});
+
+test('record_video async emits progress notifications while polling', async () => {
+  let polls = 0;
+  await withClient(
+    (url, method) => {
+      if (url.endsWith('/api/v1/video') && method === 'POST') {
+        return jsonResponse({ job_id: 'job_p', status: 'queued', queue_position: 2 }, { status: 202 });
+      }
+      if (url.endsWith('/api/v1/jobs/job_p')) {
+        polls++;
+        if (polls === 1) return jsonResponse({ id: 'job_p', status: 'processing', stage: 'encoding', progress: 40 });
+        return jsonResponse({ id: 'job_p', status: 'completed', output: { url: 'https://pagebolt.dev/v/job_p' } });
+      }
+      throw new Error(`unexpected request ${method} ${url}`);
+    },
+    async (client) => {
+      const updates = [];
+      const res = await client.callTool(
+        { name: 'record_video', arguments: { steps: [{ action: 'navigate', url: 'https://example.com' }] } },
+        undefined,
+        { onprogress: (p) => updates.push(p) },
+      );
+      assert.match(textOf(res), /Video recorded successfully \(hosted\)/);
+      assert.match(updates[0].message, /enqueued \(queue position 2\)/);
+      assert.deepEqual(
+        updates.slice(1).map((u) => [u.progress, u.total, u.message]),
+        [[40, 100, 'Job job_p: processing (encoding)'], [100, 100, 'Job job_p: completed']],
+      );
+      for (let i = 1; i < updates.length; i++) assert.ok(updates[i].progress > updates[i - 1].progress);
+    },
+  );
+});
+
+test('cancelling record_video stops polling and cancels the enqueued job', async () => {
+  const controller = new AbortController();
+  let resolveCancelled;
+  const cancelled = new Promise((r) => { resolveCancelled = r; });
+  let polls = 0;
+  await withClient(
+    (url, method) => {
+      if (url.endsWith('/api/v1/video') && method === 'POST') {
+        return jsonResponse({ job_id: 'job_c', status: 'queued' }, { status: 202 });
+      }
+      if (url.endsWith('/api/v1/jobs/job_c') && method === 'GET') {
+        polls++;
+        setImmediate(() => controller.abort());
+        return jsonResponse({ id: 'job_c', status: 'processing' });
+      }
+      if (url.endsWith('/api/v1/jobs/job_c') && method === 'DELETE') {
+        resolveCancelled();
+        return jsonResponse({ id: 'job_c', status: 'cancelled' });
+      }
+      throw new Error(`unexpected request ${method} ${url}`);
+    },
+    async (client) => {
+      await assert.rejects(
+        client.callTool(
+          { name: 'record_video', arguments: { steps: [{ action: 'navigate', url: 'https://example.com' }] } },
+          undefined,
+          { signal: controller.signal },
+        ),
+        /abort/i,
+      );
+      await cancelled;
+      assert.equal(polls, 1, 'polling must stop once the request is cancelled');
+    },
+  );
+});
+
+test('wait_for_job resumes a timed-out render and delivers the video like record_video', async () => {
+  const outDir = mkdtempSync(join(process.cwd(), '.test-output-'));
+  const out = join(outDir, 'resumed.mp4');
+  const videoBytes = Buffer.from('RESUMED-MP4');
+  try {
+    await withClient(
+      (url, method) => {
+        if (url.endsWith('/api/v1/jobs/job_r') && method === 'GET') {
+          return jsonResponse({
+            id: 'job_r',
+            type: 'video',
+            status: 'completed',
+            output: { format: 'mp4', duration_ms: 8000, url: 'https://pagebolt.dev/v/job_r', file_url: 'https://pagebolt.dev/v/job_r/file' },
+          });
+        }
+        if (url.endsWith('/v/job_r/file')) return bytesResponse(videoBytes);
+        throw new Error(`unexpected request ${method} ${url}`);
+      },
+      async (client) => {
+        const res = await client.callTool({ name: 'wait_for_job', arguments: { job_id: 'job_r', saveTo: out } });
+        const resource = (res.content || []).find((c) => c.type === 'resource');
+        assert.ok(resource, 'should embed the downloaded video');
+        assert.equal(resource.resource.blob, videoBytes.toString('base64'));
+        assert.match(textOf(res), /Job ID:\s+job_r/);
+        assert.equal(res.structuredContent.file, out);
+        assert.deepEqual(readFileSync(out), videoBytes);
+
+        // A refused saveTo still embeds the video and says why it is not on disk.
+        const refused = await client.callTool({ name: 'wait_for_job', arguments: { job_id: 'job_r', saveTo: join(tmpdir(), 'resumed.mp4') } });
+        assert.equal(refused.isError, undefined);
+        assert.ok((refused.content || []).some((c) => c.type === 'resource'));
+        assert.match(textOf(refused), /File:\s+not saved \(saveTo path must be inside an allowed directory/);
+      },
+    );
+  } finally {
+    rmSync(outDir, { recursive: true, force: true });
+  }
+});
+
+test('cancel_job deletes a pending job', async () => {
+  await withClient(
+    (url, method) => {
+      assert.equal(method, 'DELETE');
+      assert.ok(url.endsWith('/api/v1/jobs/job_q'));
+      return jsonResponse({ id: 'job_q', status: 'cancelled' });
+    },
+    async (client) => {
+      const res = await client.callTool({ name: 'cancel_job', arguments: { job_id: 'job_q' } });
+      assert.equal(res.isError, undefined);
+      assert.match(textOf(res), /Job job_q cancelled\. Status: cancelled/);
+    },
+  );
+});
+
+test('every tool declares an outputSchema and returns matching structuredContent', async () => {
+  await withClient(
+    (url) => {
+      if (url.endsWith('/api/v1/sequence')) {
+        return jsonResponse({
+          outputs: [
+            { type: 'screenshot', name: 'home', format: 'png', size_bytes: 10, step_index: 1, data: 'AAAA', content_type: 'image/png' },
+            { type: 'diff', name: 'cmp', changed_pct: 2.5, changed_pixels: 25, total_pixels: 1000, step_index: 2, data: 'BBBB' },
+          ],
+          step_results: [
+            { step_index: 0, action: 'navigate', status: 'ok', error: null },
+            { step_index: 1, action: 'screenshot', status: 'ok' },
+            { step_index: 2, action: 'diff', status: 'ok' },
+          ],
+          steps_completed: 3,
+          total_steps: 3,
+          total_duration_ms: 900,
+          usage: { outputs_charged: 2, remaining: 98 },
+        });
+      }
+      if (url.endsWith('/api/v1/usage')) {
+        return jsonResponse({ plan: 'free', usage: { current: 25, limit: 100, remaining: 75 } });
+      }
+      throw new Error(`unexpected request ${url}`);
+    },
+    async (client) => {
+      // listTools primes the client-side output validators.
+      const { tools } = await client.listTools();
+      for (const tool of tools) {
+        assert.ok(tool.outputSchema, `${tool.name} should declare an outputSchema`);
+      }
+
+      const seq = await client.callTool({
+        name: 'run_sequence',
+        arguments: { steps: [{ action: 'navigate', url: 'https://example.com' }, { action: 'screenshot' }, { action: 'diff', url_b: 'https://example.org' }] },
+      });
+      assert.equal(seq.isError, undefined);
+      assert.equal(seq.structuredContent.outputs[1].changed_pct, 2.5);
+      assert.equal(seq.structuredContent.step_results.length, 3);
+      assert.equal(seq.structuredContent.usage.remaining, 98);
+
+      const usage = await client.callTool({ name: 'check_usage', arguments: {} });
+      assert.deepEqual(usage.structuredContent, { plan: 'free', current: 25, limit: 100, remaining: 75, percent: 25 });
+    },
+  );
+});
+
+test('tools carry titles and annotations for hint-based approval', async () => {
+  await withClient(
+    () => { throw new Error('no API calls expected'); },
+    async (client) => {
+      const { tools } = await client.listTools();
+      const byName = Object.fromEntries(tools.map((t) => [t.name, t]));
+      for (const tool of tools) {
+        assert.ok(tool.title, `${tool.name} should have a title`);
+        assert.equal(typeof tool.annotations.readOnlyHint, 'boolean', `${tool.name} readOnlyHint`);
+        assert.equal(typeof tool.annotations.destructiveHint, 'boolean', `${tool.name} destructiveHint`);
+      }
+      for (const safe of ['list_devices', 'check_usage', 'list_jobs', 'get_job', 'server_status']) {
+        assert.equal(byName[safe].annotations.readOnlyHint, true, `${safe} should be read-only`);
+        assert.equal(byName[safe].annotations.openWorldHint, false);
+      }
+      for (const risky of ['act_on_page', 'destroy_session', 'cancel_job']) {
+        assert.equal(byName[risky].annotations.destructiveHint, true, `${risky} should be destructive`);
+      }
+      assert.equal(byName.import_agent_trace.annotations.readOnlyHint, false);
+      // session_id + url navigates a live session; inspect_page also runs injectJs.
+      for (const tool of ['inspect_page', 'observe_page']) {
+        assert.equal(byName[tool].annotations.readOnlyHint, false, `${tool} should not be read-only`);
+      }
+    },
+  );
+});
+
+test('generated images are listed and readable as pagebolt://artifacts resources', async () => {
+  await withClient(
+    (url) => {
+      if (url.endsWith('/api/v1/screenshot')) {
+        return jsonResponse({ data: 'iVBORw0K', format: 'png', size_bytes: 6, duration_ms: 120 });
+      }
+      throw new Error(`unexpected request ${url}`);
+    },
+    async (client) => {
+      const { ResourceListChangedNotificationSchema } = await import('@modelcontextprotocol/sdk/types.js');
+      let listChanged = 0;
+      client.setNotificationHandler(ResourceListChangedNotificationSchema, () => { listChanged++; });
+
+      const shot = await client.callTool({ name: 'take_screenshot', arguments: { url: 'https://example.com' } });
+      assert.equal(shot.isError, undefined);
+      const link = shot.content.find((c) => c.type === 'resource_link');
+      assert.match(link.uri, /^pagebolt:\/\/artifacts\//);
+      assert.equal(shot.structuredContent.artifact_uri, link.uri);
+
+      const { resources } = await client.listResources();
+      const listed = resources.find((r) => r.uri === link.uri);
+      assert.ok(listed, 'artifact should be listed');
+      assert.equal(listed.mimeType, 'image/png');
+
+      const read = await client.readResource({ uri: link.uri });
+      assert.equal(read.contents[0].blob, 'iVBORw0K');
+      assert.equal(listChanged, 1);
+
+      await assert.rejects(client.readResource({ uri: 'pagebolt://artifacts/missing' }), /not found/);
+    },
+  );
+});
+
+test('subscribing to pagebolt://jobs/{id} notifies when the job settles', async () => {
+  let polls = 0;
+  await withClient(
+    (url) => {
+      if (url.endsWith('/api/v1/jobs/job_sub')) {
+        polls++;
+        return jsonResponse({ id: 'job_sub', type: 'video', status: polls > 1 ? 'completed' : 'processing' });
+      }
+      if (url.endsWith('/api/v1/sessions')) {
+        return jsonResponse({ sessions: [{ session_id: 'sess_1', created_at: '2026-01-01T00:00:00Z', expires_at: '2026-01-01T00:10:00Z' }] });
+      }
+      throw new Error(`unexpected request ${url}`);
+    },
+    async (client) => {
+      const { ResourceUpdatedNotificationSchema } = await import('@modelcontextprotocol/sdk/types.js');
+      const updated = [];
+      client.setNotificationHandler(ResourceUpdatedNotificationSchema, (n) => { updated.push(n.params.uri); });
+
+      const { resourceTemplates } = await client.listResourceTemplates();
+      const templates = resourceTemplates.map((t) => t.uriTemplate);
+      assert.ok(templates.includes('pagebolt://jobs/{id}'));
+      assert.ok(templates.includes('pagebolt://sessions/{id}'));
+      assert.equal(client.getServerCapabilities().resources.subscribe, true);
+
+      await client.subscribeResource({ uri: 'pagebolt://jobs/job_sub' });
+      assert.deepEqual(updated, []);
+
+      // wait_for_job's own polling sees the completion and settles the subscription.
+      const wait = await client.callTool({ name: 'wait_for_job', arguments: { job_id: 'job_sub', timeoutMs: 10000 } });
+      assert.equal(wait.isError, undefined);
+      assert.deepEqual(updated, ['pagebolt://jobs/job_sub']);
+
+      const job = await client.readResource({ uri: 'pagebolt://jobs/job_sub' });
+      assert.equal(JSON.parse(job.contents[0].text).status, 'completed');
+
+      const session = await client.readResource({ uri: 'pagebolt://sessions/sess_1' });
+      assert.equal(JSON.parse(session.contents[0].text).session_id, 'sess_1');
+      await assert.rejects(client.readResource({ uri: 'pagebolt://sessions/gone' }), /not found/);
+      await assert.rejects(client.subscribeResource({ uri: 'pagebolt://api-docs' }), /only supported/);
+    },
+  );
+});
+
+test('completion/complete suggests device presets, voices per provider and job ids', async () => {
+  let deviceCalls = 0;
+  await withClient(
+    (url) => {
+      if (url.endsWith('/api/v1/devices')) {
+        deviceCalls++;
+        return jsonResponse({ devices: [{ id: 'iphone_14_pro' }, { id: 'iphone_se' }, { id: 'macbook_pro_14' }] });
+      }
+      if (url.endsWith('/api/v1/jobs')) {
+        return jsonResponse({ jobs: [{ id: 'job_abc', status: 'completed' }, { id: 'job_xyz', status: 'queued' }] });
+      }
+      throw new Error(`unexpected request ${url}`);
+    },
+    async (client) => {
+      const complete = async (ref, name, value, args) => {
+        const { completion } = await client.complete({ ref, argument: { name, value }, context: args && { arguments: args } });
+        return completion.values;
+      };
+      const capturePage = { type: 'ref/prompt', name: 'capture-page' };
+
+      // Device presets are fetched once and cached for later completions.
+      assert.deepEqual(await complete(capturePage, 'device', 'iph'), ['iphone_14_pro', 'iphone_se']);
+      assert.deepEqual(await complete(capturePage, 'device', 'mac'), ['macbook_pro_14']);
+      assert.ok(deviceCalls <= 1);
+
+      assert.deepEqual(await complete(capturePage, 'style_theme', 'neon'), ['neonBlue', 'neonPurple', 'neonGreen']);
+
+      const recordDemo = { type: 'ref/prompt', name: 'record-demo' };
+      assert.deepEqual(await complete(recordDemo, 'voice', 'a'), ['ava', 'andrew', 'aria']);
+      assert.deepEqual(await complete(recordDemo, 'voice', '', { provider: 'openai' }), ['alloy', 'echo', 'fable', 'nova', 'onyx', 'shimmer']);
+
+      const jobs = { type: 'ref/resource', uri: 'pagebolt://jobs/{id}' };
+      assert.deepEqual(await complete(jobs, 'id', 'job_a'), ['job_abc']);
+    },
+  );
+});
+
+test('record_video rejects invalid steps locally without calling the API', async () => {
+  await withClient(
+    (url) => { throw new Error(`unexpected request ${url}`); },
+    async (client) => {
+      const result = await client.callTool({
+        name: 'record_video',
+        arguments: {
+          steps: [
+            { action: 'navigate' },
+            { action: 'scroll' },
+            { action: 'evaluate', script: '1' },
+            { action: 'evaluate', script: '2' },
+            { action: 'evaluate', script: '3' },
+          ],
+          audioGuide: { enabled: true, voice: 'nova', script: 'Hi {{1}} there {{7}} bye.' },
+        },
+      });
+      assert.equal(result.isError, true);
+      const text = textOf(result);
+      assert.match(text, /no requests were used/);
+      assert.match(text, /steps\[0\] \(navigate\): "url" is required/);
+      assert.match(text, /steps\[1\] \(scroll\): needs a "selector"/);
+      assert.match(text, /At most 2 evaluate steps/);
+      assert.match(text, /"nova" is an OpenAI voice but provider is "azure"/);
+      assert.match(text, /marker \{\{7\}\} has no matching step\. Markers count non-wait steps from 1 \(this video has \{\{1\}\}–\{\{5\}\}\)/);
+      assert.doesNotMatch(text, /\{\{1\}\} has no matching step/);
+    },
+  );
+});
+
+test('validate_steps reports warnings for narration without audioGuide.enabled', async () => {
+  await withClient(
+    () => { throw new Error('no API calls expected'); },
+    async (client) => {
+      const result = await client.callTool({
+        name: 'validate_steps',
+        arguments: {
+          steps: [
+            { action: 'navigate', url: 'https://example.com', narration: 'Welcome' },
+            { action: 'scroll', y: 600 },
+          ],
+        },
+      });
+      assert.equal(result.isError, undefined);
+      assert.equal(result.structuredContent.valid, true);
+      assert.deepEqual(result.structuredContent.errors, []);
+      assert.deepEqual(result.structuredContent.warnings, [
+        'steps[0] (navigate): "narration" is ignored unless audioGuide.enabled is true.',
+      ]);
+
+      // An out-of-range script marker is a warning, not an error.
+      const markers = await client.callTool({
+        name: 'validate_steps',
+        arguments: {
+          steps: [{ action: 'navigate', url: 'https://example.com' }, { action: 'wait', ms: 500 }, { action: 'scroll', y: 600 }],
+          audioGuide: { enabled: true, script: 'Intro. {{1}} Home. {{2}} Scroll. {{3}} Outro.' },
+        },
+      });
+      assert.equal(markers.structuredContent.valid, true);
+      assert.deepEqual(markers.structuredContent.warnings, [
+        'audioGuide.script marker {{3}} has no matching step. Markers count non-wait steps from 1 (this video has {{1}}–{{2}}).',
+      ]);
+
+      // A voice missing from the local list may still exist server-side.
+      const voice = await client.callTool({
+        name: 'validate_steps',
+        arguments: {
+          steps: [{ action: 'navigate', url: 'https://example.com' }],
+          audioGuide: { enabled: true, voice: 'sonia' },
+        },
+      });
+      assert.equal(voice.structuredContent.valid, true);
+      assert.match(voice.structuredContent.warnings[0], /"sonia" is not a known azure voice; the API may reject it/);
+    },
+  );
+});
+
+test('run_sequence warns about an open overlay and autoDismissOverlays inserts Escape', async () => {
+  const bodies = [];
+  await withClient(
+    (url, method, body) => {
+      if (url.endsWith('/api/v1/sequence')) {
+        bodies.push(body);
+        return jsonResponse({
+          outputs: [{ type: 'screenshot', name: 'billing', format: 'png', size_bytes: 4, step_index: body.steps.length - 1, data: 'AAAA', content_type: 'image/png' }],
+          step_results: [],
+          steps_completed: body.steps.length,
+          total_steps: body.steps.length,
+          total_duration_ms: 500,
+          usage: { outputs_charged: 1, remaining: 99 },
+        });
+      }
+      throw new Error(`unexpected request ${url}`);
+    },
+    async (client) => {
+      const steps = [
+        { action: 'navigate', url: 'https://example.com' },
+        { action: 'click', selector: '#user-avatar' },
+        { action: 'wait', ms: 300 },
+        { action: 'click', selector: '#billing-link' },
+        { action: 'screenshot' },
+      ];
+
+      const linted = await client.callTool({ name: 'run_sequence', arguments: { steps } });
+      assert.equal(linted.isError, undefined);
+      assert.equal(linted.structuredContent.warnings.length, 1);
+      assert.match(linted.structuredContent.warnings[0], /steps\[1\] \(click "#user-avatar"\) looks like it opens a menu/);
+      assert.equal(bodies[0].steps.length, 5);
+
+      const fixed = await client.callTool({ name: 'run_sequence', arguments: { steps, autoDismissOverlays: true } });
+      assert.equal(fixed.isError, undefined);
+      assert.equal(bodies[1].autoDismissOverlays, undefined);
+      assert.deepEqual(bodies[1].steps.map((s) => s.action), ['navigate', 'click', 'wait', 'press_key', 'click', 'screenshot']);
+      assert.equal(bodies[1].steps[3].key, 'Escape');
+      assert.match(textOf(fixed), /inserted press_key Escape after steps 1/);
+
+      // At the 20-step limit the Escape step is not inserted, only suggested.
+      const full = [...steps.slice(0, 4), ...Array.from({ length: 15 }, (_, i) => ({ action: 'scroll', y: 100 * (i + 1) })), steps[4]];
+      const capped = await client.callTool({ name: 'run_sequence', arguments: { steps: full, autoDismissOverlays: true } });
+      assert.equal(capped.isError, undefined);
+      assert.equal(bodies[2].steps.length, 20);
+      assert.ok(!bodies[2].steps.some((s) => s.action === 'press_key'));
+      assert.match(textOf(capped), /did not insert press_key Escape after steps 1, because that makes 21 steps and the limit is 20/);
+    },
+  );
+});
+
+test('validate_steps flags padded waits and zoom; record_video renumbers script markers when dismissing', async () => {
+  const tmp = mkdtempSync(join(tmpdir(), 'pagebolt-'));
+  let videoBody;
+  try {
+    await withClient(
+      (url, method, body) => {
+        if (url.endsWith('/api/v1/video')) {
+          videoBody = body;
+          return jsonResponse({ data: 'AAAA', format: 'mp4', size_bytes: 3, duration_ms: 10 });
+        }
+        throw new Error(`unexpected request ${url}`);
+      },
+      async (client) => {
+        const padded = await client.callTool({
+          name: 'validate_steps',
+          arguments: {
+            steps: [
+              { action: 'navigate', url: 'https://example.com' },
+              { action: 'wait', ms: 500 },
+              { action: 'click', selector: '#a', zoom: { enabled: true } },
+              { action: 'wait', ms: 500 },
+              { action: 'click', selector: '#b' },
+            ],
+          },
+        });
+        const warnings = padded.structuredContent.warnings.join('\n');
+        assert.match(warnings, /A wait step follows every action/);
+        assert.match(warnings, /Zoom is enabled \(steps 2\)/);
+
+        const result = await client.callTool({
+          name: 'record_video',
+          arguments: {
+            saveTo: join(tmp, 'demo.mp4'),
+            steps: [
+              { action: 'navigate', url: 'https://example.com' },
+              { action: 'wait', ms: 1000 },
+              { action: 'click', selector: 'button[aria-haspopup="menu"]' },
+              { action: 'click', selector: '#pricing' },
+            ],
+            audioGuide: { enabled: true, script: 'Home. {{1}} Open the menu. {{2}} Pricing. {{3}} Done.' },
+            autoDismissOverlays: true,
+          },
+        });
+        assert.equal(result.isError, undefined);
+        assert.deepEqual(videoBody.steps.map((s) => s.action), ['navigate', 'wait', 'click', 'press_key', 'click']);
+        assert.equal(videoBody.audioGuide.script, 'Home. {{1}} Open the menu. {{2}} Pricing. {{4}} Done.');
+        assert.equal(videoBody.autoDismissOverlays, undefined);
+      },
+    );
+  } finally {
+    rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test('metered tools report spend and refuse calls that would exceed the session budget', async () => {
+  const calls = [];
+  await withClient(
+    (url) => {
+      calls.push(url);
+      if (url.endsWith('/api/v1/screenshot')) {
+        return jsonResponse({ data: 'iVBORw0K', format: 'png', size_bytes: 6, duration_ms: 50 });
+      }
+      if (url.endsWith('/api/v1/sequence')) {
+        return jsonResponse({
+          outputs: [{ type: 'screenshot', name: 'a', format: 'png', size_bytes: 4, step_index: 1, data: 'AAAA', content_type: 'image/png' }],
+          step_results: [],
+          steps_completed: 2,
+          total_steps: 2,
+          total_duration_ms: 100,
+          usage: { outputs_charged: 1, remaining: 40 },
+        });
+      }
+      throw new Error(`unexpected request ${url}`);
+    },
+    async (client) => {
+      const shot = await client.callTool({ name: 'take_screenshot', arguments: { url: 'https://example.com/pricing' } });
+      assert.equal(shot.structuredContent.spend.cost, 1);
+      assert.equal(shot.structuredContent.spend.estimated, true);
+      assert.equal(shot.structuredContent.spend.session_spent, 1);
+      assert.equal(shot.structuredContent.spend.session_budget, 12);
+
+      const seq = await client.callTool({
+        name: 'run_sequence',
+        arguments: { steps: [{ action: 'navigate', url: 'https://example.com' }, { action: 'screenshot' }] },
+      });
+      assert.equal(seq.structuredContent.spend.cost, 1);
+      assert.equal(seq.structuredContent.spend.estimated, false);
+      assert.equal(seq.structuredContent.spend.session_spent, 2);
+      assert.equal(seq.structuredContent.spend.plan_remaining, 40);
+      assert.match(textOf(seq), /Spend: 1 request\(s\)\. Session total 2\/12, process total \d+, plan remaining 40\./);
+
+      const before = calls.length;
+      const big = await client.callTool({
+        name: 'run_sequence',
+        arguments: { steps: [{ action: 'navigate', url: 'https://example.com' }, ...Array.from({ length: 11 }, () => ({ action: 'screenshot' }))] },
+      });
+      assert.equal(big.isError, true);
+      assert.match(textOf(big), /Budget error: run_sequence would cost ~11 request\(s\), but only 10 of the session budget of 12 remain/);
+      assert.equal(calls.length, before, 'a refused call must not reach the API');
+    },
+  );
+});
+
+test('dryRun returns the redacted request and estimated cost without calling the API', async () => {
+  await withClient(
+    (url) => { throw new Error(`dry runs must not call the API (${url})`); },
+    async (client) => {
+      const shot = await client.callTool({
+        name: 'take_screenshot',
+        arguments: { url: 'https://example.com', cookies: ['sid=secret'], fullPage: true, dryRun: true },
+      });
+      assert.equal(shot.isError, undefined);
+      const plan = shot.structuredContent.dry_run;
+      assert.equal(plan.method, 'POST');
+      assert.equal(plan.endpoint, '/api/v1/screenshot');
+      assert.equal(plan.body.fullPage, true);
+      assert.equal(plan.body.cookies, '<redacted>');
+      assert.equal(plan.body.dryRun, undefined);
+      assert.equal(plan.estimated_cost, 1);
+      assert.equal(plan.within_budget, true);
+      assert.doesNotMatch(textOf(shot), /secret/);
+
+      const act = await client.callTool({
+        name: 'act_on_page',
+        arguments: { url: 'https://example.com', goal: 'Log in', maxSteps: 5, credentials: { username: 'me', password: 'hunter2' }, dryRun: true },
+      });
+      assert.equal(act.structuredContent.dry_run.estimated_cost, 7);
+      assert.equal(act.structuredContent.dry_run.body.credentials, '<redacted>');
+
+      const seq = await client.callTool({
+        name: 'run_sequence',
+        arguments: { steps: Array.from({ length: 13 }, () => ({ action: 'screenshot' })), dryRun: true },
+      });
+      assert.equal(seq.structuredContent.dry_run.estimated_cost, 13);
+      assert.equal(seq.structuredContent.dry_run.within_budget, false);
+
+      const video = await client.callTool({ name: 'record_video', arguments: { steps: [{ action: 'navigate' }], dryRun: true } });
+      assert.equal(video.isError, true);
+      assert.match(textOf(video), /"url" is required/);
+    },
+  );
+});
+
+test('response cache serves repeat observe_page calls, keyed on normalized params', async () => {
+  let observes = 0;
+  await withClient(
+    (url, method, body) => {
+      if (url.endsWith('/api/v1/observe')) {
+        observes++;
+        return jsonResponse({ url: body.url, pageType: 'landing', elements: [], actions: [] });
+      }
+      throw new Error(`unexpected request ${url}`);
+    },
+    async (client) => {
+      const args = { url: 'https://cache.example.com/', includeContent: false, maxElements: 10 };
+      const first = await client.callTool({ name: 'observe_page', arguments: args });
+      assert.equal(first.structuredContent.cached, undefined);
+      assert.equal(first.structuredContent.spend.cost, 1);
+
+      // Same params in a different key order → cache hit, nothing spent.
+      const second = await client.callTool({ name: 'observe_page', arguments: { maxElements: 10, includeContent: false, url: 'https://cache.example.com/' } });
+      assert.equal(observes, 1);
+      assert.equal(typeof second.structuredContent.cached.age_ms, 'number');
+      assert.equal(second.structuredContent.spend.cost, 0);
+      assert.match(textOf(second), /Served from the local response cache/);
+
+      await client.callTool({ name: 'observe_page', arguments: { ...args, noCache: true } });
+      assert.equal(observes, 2);
+
+      // Session-bound calls always go to the API.
+      await client.callTool({ name: 'observe_page', arguments: { ...args, session_id: 'sess_1' } });
+      await client.callTool({ name: 'observe_page', arguments: { ...args, session_id: 'sess_1' } });
+      assert.equal(observes, 4);
+    },
+  );
+});
+
+test('response cache evicts by size and skips responses over PAGEBOLT_CACHE_MAX_MB', async () => {
+  const observed = [];
+  await withClient(
+    (url, method, body) => {
+      observed.push(body.url);
+      // Unused padding makes each response roughly the requested size.
+      const kb = Number(new URL(body.url).searchParams.get('kb'));
+      return jsonResponse({ url: body.url, pageType: 'landing', elements: [], padding: 'x'.repeat(kb * 1024) });
+    },
+    async (client) => {
+      const observe = (kb, page) => client.callTool({
+        name: 'observe_page',
+        arguments: { url: `https://cache-size.example.com/${page}?kb=${kb}`, includeContent: false },
+      });
+      await observe(600, 'a');
+      assert.ok((await observe(600, 'a')).structuredContent.cached);
+      // A second 600 KB response pushes the first out of the 1 MB budget.
+      await observe(600, 'b');
+      await observe(600, 'b');
+      await observe(600, 'a');
+      assert.deepEqual(observed.map((u) => new URL(u).pathname), ['/a', '/b', '/a']);
+
+      // Bigger than the whole budget: never cached.
+      await observe(1200, 'c');
+      await observe(1200, 'c');
+      assert.equal(observed.length, 5);
+    },
+  );
+});
+
+test('retries reuse one Idempotency-Key; act_on_page is not retried after a network error', async () => {
+  const keys = [];
+  const acts = [];
+  await withClient(
+    (url, method, body, options) => {
+      const key = options.headers['Idempotency-Key'];
+      if (url.endsWith('/api/v1/screenshot')) {
+        keys.push(key);
+        // Echoing the key on another request must not make act retryable.
+        if (keys.length === 1) return jsonResponse({ error: 'busy' }, { status: 503, headers: { 'idempotency-key': key } });
+        return jsonResponse({ data: 'iVBORw0K', format: 'png', size_bytes: 6, duration_ms: 50 }, { headers: { 'idempotency-key': key } });
+      }
+      if (url.endsWith('/api/v1/act')) {
+        acts.push(`${body.goal} ${key}`);
+        assert.ok(key);
+        if (body.goal === 'Log in') throw new Error('socket hang up');
+        if (body.goal === 'Echo' && acts.length === 1) return jsonResponse({ error: 'busy' }, { status: 503, headers: { 'idempotency-key': key } });
+        if (body.goal === 'Echo') return jsonResponse({ success: true, steps: [] });
+        return jsonResponse({ error: 'busy' }, { status: 503 });
+      }
+      throw new Error(`unexpected request ${url}`);
+    },
+    async (client) => {
+      const shot = await client.callTool({ name: 'take_screenshot', arguments: { url: 'https://retry.example.com/' } });
+      assert.equal(shot.isError, undefined);
+      assert.equal(keys.length, 2);
+      assert.match(keys[0], /^[0-9a-f-]{36}$/);
+      assert.equal(keys[0], keys[1]);
+
+      // A 5xx is retried only when that same request's key comes back.
+      await client.callTool({ name: 'act_on_page', arguments: { url: 'https://example.com', goal: 'Echo', maxSteps: 2 } });
+      assert.equal(acts.length, 2);
+      assert.equal(acts[0], acts[1]);
+      await client.callTool({ name: 'act_on_page', arguments: { url: 'https://example.com', goal: 'Plain', maxSteps: 2 } });
+      assert.equal(acts.length, 3);
+
+      const act = await client.callTool({ name: 'act_on_page', arguments: { url: 'https://example.com', goal: 'Log in', maxSteps: 2 } });
+      assert.equal(act.isError, true);
+      assert.match(textOf(act), /socket hang up/);
+      assert.equal(acts.length, 4);
+    },
+  );
+});
+
+test('a 429 pauses the rate-limit queue and the wait is reported in the result', async () => {
+  let shots = 0;
+  await withClient(
+    (url) => {
+      if (url.endsWith('/api/v1/screenshot')) {
+        shots++;
+        if (shots === 1) return jsonResponse({ error: 'Too many requests' }, { status: 429, headers: { 'retry-after': '1' } });
+        if (shots === 2) {
+          return jsonResponse({ data: 'iVBORw0K', format: 'png', size_bytes: 6, duration_ms: 50 },
+            { headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1' } });
+        }
+        return jsonResponse({ data: 'iVBORw0K', format: 'png', size_bytes: 6, duration_ms: 50 });
+      }
+      throw new Error(`unexpected request ${url}`);
+    },
+    async (client) => {
+      const first = await client.callTool({ name: 'take_screenshot', arguments: { url: 'https://ratelimit.example.com/a' } });
+      assert.equal(first.isError, undefined);
+      assert.equal(shots, 2);
+      assert.ok(first.structuredContent.spend.queue_wait_ms >= 900);
+      assert.match(textOf(first), /Waited \d\.\ds in the rate-limit queue/);
+
+      // X-RateLimit-Remaining: 0 holds the next request until the reset.
+      const second = await client.callTool({ name: 'take_screenshot', arguments: { url: 'https://ratelimit.example.com/b' } });
+      assert.ok(second.structuredContent.spend.queue_wait_ms >= 900);
+    },
+  );
+});
+
+test('X-RateLimit-Limit only sets the rate for a per-minute window; Retry-After may be an HTTP date', async () => {
+  let shots = 0;
+  await withClient(
+    (url) => {
+      if (url.endsWith('/api/v1/screenshot')) {
+        shots++;
+        if (shots === 1) {
+          return jsonResponse({ error: 'busy' }, { status: 503, headers: { 'retry-after': new Date(Date.now() + 1500).toUTCString() } });
+        }
+        // A daily quota of 1 must not become 1 request per minute.
+        return jsonResponse({ data: 'iVBORw0K', format: 'png', size_bytes: 6, duration_ms: 50 },
+          { headers: { 'x-ratelimit-limit': '1', 'x-ratelimit-window': '86400' } });
+      }
+      throw new Error(`unexpected request ${url}`);
+    },
+    async (client) => {
+      const started = Date.now();
+      const first = await client.callTool({ name: 'take_screenshot', arguments: { url: 'https://ratelimit.example.com/date' } });
+      assert.equal(first.isError, undefined);
+      assert.equal(shots, 2);
+      assert.ok(Date.now() - started >= 500);
+
+      const second = await client.callTool({ name: 'take_screenshot', arguments: { url: 'https://ratelimit.example.com/daily' } });
+      assert.equal(second.isError, undefined);
+      assert.ok(second.structuredContent.spend.queue_wait_ms < 5000);
+    },
+  );
+});
+
+test('circuit breaker opens after consecutive 5xx, fails fast, then closes on a good probe', async () => {
+  let shots = 0;
+  let videos = 0;
+  let healthy = false;
+  await withClient(
+    (url) => {
+      if (url.endsWith('/api/v1/screenshot')) {
+        shots++;
+        if (!healthy) return jsonResponse({ error: 'upstream down' }, { status: 503 });
+        return jsonResponse({ data: 'iVBORw0K', format: 'png', size_bytes: 6, duration_ms: 50 });
+      }
+      if (url.endsWith('/api/v1/video')) {
+        videos++;
+        return jsonResponse({ error: 'internal error' }, { status: 500 });
+      }
+      throw new Error(`unexpected request ${url}`);
+    },
+    async (client) => {
+      const shoot = (path) => client.callTool({ name: 'take_screenshot', arguments: { url: `https://breaker.example.com/${path}` } });
+      await shoot('a'); // two failed attempts
+      const tripped = await shoot('b'); // third failure opens; its retry fails fast
+      assert.equal(shots, 3);
+      assert.match(textOf(tripped), /PageBolt API unavailable after 3 consecutive failures, retry after \d+s/);
+
+      const fast = await shoot('c');
+      assert.equal(fast.isError, true);
+      assert.equal(shots, 3);
+
+      const open = await client.callTool({ name: 'server_status', arguments: {} });
+      assert.equal(open.structuredContent.api.state, 'open');
+      assert.equal(open.structuredContent.api.consecutive_failures, 3);
+
+      await new Promise((r) => setTimeout(r, 250));
+      healthy = true;
+      const probe = await shoot('d');
+      assert.equal(probe.isError, undefined);
+      const closed = await client.callTool({ name: 'server_status', arguments: {} });
+      assert.equal(closed.structuredContent.api.state, 'closed');
+      assert.equal(closed.structuredContent.api.retry_after_ms, null);
+
+      // A 5xx on async enqueue is not retried as a synchronous render.
+      const video = await client.callTool({
+        name: 'record_video',
+        arguments: { steps: [{ action: 'navigate', url: 'https://example.com' }], async: true },
+      });
+      assert.equal(video.isError, true);
+      assert.equal(videos, 1);
+    },
+  );
+});
+
+test('API calls are logged as redacted JSON lines and forwarded at the client\'s log level', async () => {
+  let sentKey;
+  await withClient(
+    (url, method, body, options) => {
+      if (url.endsWith('/api/v1/screenshot')) {
+        sentKey = options.headers['Idempotency-Key'];
+        return jsonResponse({ data: 'iVBORw0K', format: 'png', size_bytes: 6, duration_ms: 50 });
+      }
+      throw new Error(`unexpected request ${url}`);
+    },
+    async (client) => {
+      const forwarded = [];
+      client.setNotificationHandler(LoggingMessageNotificationSchema, (n) => forwarded.push(n.params));
+      await client.setLoggingLevel('info');
+
+      const shot = await client.callTool({
+        name: 'take_screenshot',
+        arguments: { url: 'https://logging.example.com/', cookies: ['sid=secret'], headers: { Authorization: 'Bearer x' } },
+      });
+      assert.equal(shot.isError, undefined);
+
+      const lines = readFileSync(logFile, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+      const request = lines.find((l) => l.msg === 'api_request' && l.request_id === sentKey);
+      assert.equal(request.endpoint, '/api/v1/screenshot');
+      assert.equal(request.status, 200);
+      assert.equal(request.retries, 0);
+      assert.equal(typeof request.duration_ms, 'number');
+      const attempt = lines.find((l) => l.msg === 'api_attempt' && l.request_id === sentKey);
+      assert.equal(attempt.level, 'debug');
+      assert.equal(attempt.body.cookies, '<redacted>');
+      assert.equal(attempt.body.headers, '<redacted>');
+      const call = lines.find((l) => l.msg === 'tool_call' && l.request_ids.includes(sentKey));
+      assert.equal(call.tool, 'take_screenshot');
+      assert.equal(call.cost, 1);
+      const raw = readFileSync(logFile, 'utf8');
+      assert.doesNotMatch(raw, /pf_test_key|sid=secret/);
+
+      // The client asked for info: it gets the request and tool lines, not debug.
+      assert.ok(forwarded.some((m) => m.data.msg === 'api_request' && m.data.request_id === sentKey));
+      assert.ok(forwarded.some((m) => m.data.msg === 'tool_call'));
+      assert.ok(forwarded.every((m) => m.level !== 'debug' && m.logger === 'pagebolt'));
+    },
+  );
+});
+
+test('log notifications go only to the client that made the call', async () => {
+  const handler = (url) => {
+    if (url.endsWith('/api/v1/screenshot')) return jsonResponse({ data: 'iVBORw0K', format: 'png', size_bytes: 6, duration_ms: 50 });
+    throw new Error(`unexpected request ${url}`);
+  };
+  // Two in-memory clients at once; neither transport has a session id, and the
+  // bystander connects first.
+  await withClient(handler, (bystander) => withClient(handler, async (caller) => {
+    const received = { caller: [], bystander: [] };
+    caller.setNotificationHandler(LoggingMessageNotificationSchema, (n) => received.caller.push(n.params));
+    bystander.setNotificationHandler(LoggingMessageNotificationSchema, (n) => received.bystander.push(n.params));
+    await caller.setLoggingLevel('info');
+    await bystander.setLoggingLevel('debug');
+
+    const shot = await caller.callTool({ name: 'take_screenshot', arguments: { url: 'https://logging.example.com/mine' } });
+    assert.equal(shot.isError, undefined);
+    assert.ok(received.caller.some((m) => m.data.msg === 'tool_call'));
+    assert.deepEqual(received.bystander, []);
+  }));
+});
+
+test('saveTo / outputDir write captures to disk with unique names, inside the working directory only', async () => {
+  const outDir = mkdtempSync(join(process.cwd(), '.test-output-'));
+  try {
+    await withClient(
+      (url, method, body) => {
+        assert.equal(body.saveTo, undefined);
+        assert.equal(body.outputDir, undefined);
+        if (url.endsWith('/api/v1/screenshot')) {
+          return jsonResponse({ data: Buffer.from('PNG-BYTES').toString('base64'), format: 'png', size_bytes: 9, duration_ms: 50 });
+        }
+        if (url.endsWith('/api/v1/sequence')) {
+          assert.ok(body.steps.every((s) => s.saveTo === undefined));
+          return jsonResponse({
+            outputs: [
+              { type: 'screenshot', name: 'Home Page', format: 'png', size_bytes: 4, step_index: 1, data: 'AAAA', content_type: 'image/png' },
+              { type: 'pdf', name: 'terms', size_bytes: 4, step_index: 2, data: 'BBBB' },
+            ],
+            step_results: [],
+            steps_completed: 3,
+            total_steps: 3,
+            total_duration_ms: 100,
+            usage: { outputs_charged: 2, remaining: 40 },
+          });
+        }
+        throw new Error(`unexpected request ${url}`);
+      },
+      async (client) => {
+        const args = { url: 'https://save.example.com/pricing', outputDir: outDir, noCache: true };
+        const [a, b] = await Promise.all([
+          client.callTool({ name: 'take_screenshot', arguments: args }),
+          client.callTool({ name: 'take_screenshot', arguments: args }),
+        ]);
+        const files = [a.structuredContent.file, b.structuredContent.file].sort();
+        assert.deepEqual(files, [join(outDir, 'save.example.com-pricing-2.png'), join(outDir, 'save.example.com-pricing.png')]);
+        assert.equal(readFileSync(files[0], 'utf8'), 'PNG-BYTES');
+
+        const seq = await client.callTool({
+          name: 'run_sequence',
+          arguments: {
+            steps: [
+              { action: 'navigate', url: 'https://save.example.com/' },
+              { action: 'screenshot', name: 'Home Page' },
+              { action: 'pdf', name: 'terms', saveTo: join(outDir, 'legal', 'terms.pdf') },
+            ],
+            outputDir: outDir,
+          },
+        });
+        const [shot, pdf] = seq.structuredContent.outputs;
+        assert.equal(shot.file, join(outDir, 'home-page.png'));
+        assert.equal(pdf.file, join(outDir, 'legal', 'terms.pdf'));
+        assert.match(textOf(seq), /\[terms\] PDF generated .* — File: .*terms\.pdf/);
+
+        const outside = await client.callTool({ name: 'take_screenshot', arguments: { url: 'https://save.example.com/x', saveTo: '../escape.png', noCache: true } });
+        assert.equal(outside.isError, undefined);
+        assert.equal(outside.structuredContent.file, undefined);
+        assert.match(textOf(outside), /File: not saved \(saveTo path must be inside an allowed directory \(working directory; the client declared no roots\)/);
+      },
+    );
+  } finally {
+    rmSync(outDir, { recursive: true, force: true });
+  }
+});
+
+test('saveTo resolves against the client\'s MCP roots and rejects paths outside them', async () => {
+  const root = mkdtempSync(join(tmpdir(), 'pagebolt-root-'));
+  try {
+    await withClient(
+      (url) => {
+        if (url.endsWith('/api/v1/screenshot')) {
+          return jsonResponse({ data: Buffer.from('ROOTED').toString('base64'), format: 'png', size_bytes: 6, duration_ms: 50 });
+        }
+        throw new Error(`unexpected request ${url}`);
+      },
+      async (client) => {
+        client.setRequestHandler(ListRootsRequestSchema, () => ({ roots: [{ uri: pathToFileURL(root).href, name: 'project' }] }));
+
+        const inside = await client.callTool({ name: 'take_screenshot', arguments: { url: 'https://roots.example.com/', saveTo: 'docs/shot.png', noCache: true } });
+        assert.equal(inside.structuredContent.file, join(root, 'docs', 'shot.png'));
+        assert.equal(readFileSync(join(root, 'docs', 'shot.png'), 'utf8'), 'ROOTED');
+
+        // The server's CWD is not a root, so it is off limits now.
+        const outside = await client.callTool({ name: 'take_screenshot', arguments: { url: 'https://roots.example.com/', saveTo: join(process.cwd(), 'shot.png'), noCache: true } });
+        assert.equal(outside.structuredContent.file, undefined);
+        assert.ok(textOf(outside).includes(`must be inside an allowed directory (client roots): ${root}.`), textOf(outside));
+      },
+      { capabilities: { roots: {} } },
+    );
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('batch_screenshot crosses URLs with viewports, bounds concurrency and charges only successes', async () => {
+  const outDir = mkdtempSync(join(process.cwd(), '.test-output-'));
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const bodies = [];
+  try {
+    await withClient(
+      async (url, method, body) => {
+        assert.ok(url.endsWith('/api/v1/screenshot'));
+        bodies.push(body);
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise((r) => setTimeout(r, 10));
+        inFlight--;
+        if (body.url === 'https://batch.example.com/b' && body.width === 768) {
+          return jsonResponse({ error: 'Navigation failed' }, { status: 400 });
+        }
+        return jsonResponse({ data: Buffer.from(`${body.url}|${body.viewportDevice || body.width}`).toString('base64'), size_bytes: 20, duration_ms: 40 });
+      },
+      async (client) => {
+        const args = {
+          urls: ['https://batch.example.com/a', 'https://batch.example.com/b'],
+          devices: ['iphone_14_pro'],
+          widths: [768],
+          blockBanners: true,
+          concurrency: 2,
+        };
+        const result = await client.callTool({ name: 'batch_screenshot', arguments: args });
+        assert.equal(result.isError, undefined);
+        assert.equal(maxInFlight, 2);
+        assert.equal(bodies.length, 4);
+        assert.ok(bodies.every((b) => b.blockBanners === true && b.concurrency === undefined && b.devices === undefined));
+        const { items, usage, spend } = result.structuredContent;
+        assert.deepEqual(items.map((i) => [i.url.slice(-1), i.device ?? i.width, i.status]), [
+          ['a', 'iphone_14_pro', 'ok'], ['a', 768, 'ok'], ['b', 'iphone_14_pro', 'ok'], ['b', 768, 'error'],
+        ]);
+        assert.match(items[3].error, /Navigation failed/);
+        assert.equal(usage.outputs_charged, 3);
+        assert.equal(spend.cost, 3);
+        assert.equal(result.content.filter((c) => c.type === 'image').length, 3);
+        assert.match(textOf(result), /3\/4 captures succeeded \(2 URL\(s\) × 2 viewport\(s\)\), 1 failed/);
+        assert.match(textOf(result), /\[https:\/\/batch\.example\.com\/b @ 768px\] failed: PageBolt API error: Navigation failed/);
+
+        // Same batch again: the three good captures come from the cache and
+        // are written to disk instead of being returned inline.
+        const saved = await client.callTool({ name: 'batch_screenshot', arguments: { ...args, outputDir: outDir } });
+        assert.equal(saved.structuredContent.spend.cost, 0);
+        assert.equal(saved.content.filter((c) => c.type === 'image').length, 0);
+        assert.equal(saved.structuredContent.items[0].file, join(outDir, 'batch.example.com-a-iphone-14-pro.png'));
+        assert.equal(readFileSync(saved.structuredContent.items[1].file, 'utf8'), 'https://batch.example.com/a|768');
+      },
+    );
+  } finally {
+    rmSync(outDir, { recursive: true, force: true });
+  }
+});
+
+// Minimal PNG writer for fixtures: one solid color, unfiltered rows.
+// colorType 6 = RGBA, 2 = RGB.
+function solidPng(width, height, color, colorType = 6) {
+  const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+  const crc32 = (buf) => {
+    let c = 0xffffffff;
+    for (const byte of buf) c = crcTable[(c ^ byte) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  };
+  const chunk = (type, data) => {
+    const body = Buffer.concat([Buffer.from(type), data]);
+    const out = Buffer.alloc(body.length + 8);
+    out.writeUInt32BE(data.length, 0);
+    body.copy(out, 4);
+    out.writeUInt32BE(crc32(body), body.length + 4);
+    return out;
+  };
+  const pixel = Buffer.from(colorType === 6 ? color : color.slice(0, 3));
+  const row = Buffer.concat([Buffer.from([0]), ...Array(width).fill(pixel)]);
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = colorType;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', deflateSync(Buffer.concat(Array(height).fill(row)))),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// Read one RGB pixel back from a sheet the server encoded (single IDAT,
+// every row "Sub"-filtered).
+function sheetPixel(base64, x, y) {
+  const png = Buffer.from(base64, 'base64');
+  const width = png.readUInt32BE(16);
+  const raw = inflateSync(png.subarray(41, 41 + png.readUInt32BE(33)));
+  const row = raw.subarray(y * (width * 3 + 1) + 1);
+  const rgb = [0, 0, 0];
+  for (let i = 0; i <= x; i++) {
+    for (let c = 0; c < 3; c++) rgb[c] = (rgb[c] + row[i * 3 + c]) & 0xff;
+  }
+  return rgb;
+}
+
+test('responsive_sheet composites device captures into one labeled PNG grid', async () => {
+  const captures = {
+    iphone_14_pro: solidPng(40, 80, [255, 0, 0, 255]),
+    macbook_pro_14: solidPng(160, 100, [0, 0, 255], 2),
+  };
+  await withClient(
+    (url, method, body) => {
+      assert.ok(url.endsWith('/api/v1/screenshot'));
+      assert.equal(body.format, 'png');
+      assert.equal(body.style.theme, 'ocean');
+      assert.equal(body.cellHeight, undefined);
+      const png = captures[body.viewportDevice];
+      if (!png) return jsonResponse({ error: 'Unknown device preset' }, { status: 400 });
+      return jsonResponse({ data: png.toString('base64'), size_bytes: png.length, duration_ms: 30 });
+    },
+    async (client) => {
+      const result = await client.callTool({
+        name: 'responsive_sheet',
+        arguments: {
+          url: 'https://sheet.example.com/',
+          devices: ['iphone_14_pro', 'macbook_pro_14', 'fridge_door'],
+          cellHeight: 100,
+          style: { theme: 'ocean' },
+        },
+      });
+      assert.equal(result.isError, undefined, textOf(result));
+      const sc = result.structuredContent;
+      // 32px margins, iPhone scaled to 50×100, MacBook to 160×100, 48px labels.
+      assert.equal(sc.width, 32 + 50 + 32 + 160 + 32);
+      assert.equal(sc.height, 32 + 48 + 100 + 32);
+      assert.deepEqual(sc.cells.map((c) => [c.device, c.status, c.width ?? null]), [
+        ['iphone_14_pro', 'ok', 40], ['macbook_pro_14', 'ok', 160], ['fridge_door', 'error', null],
+      ]);
+      assert.equal(sc.usage.outputs_charged, 2);
+      assert.equal(sc.spend.cost, 2);
+
+      const images = result.content.filter((c) => c.type === 'image');
+      assert.equal(images.length, 3); // the sheet, then each capture
+      assert.deepEqual(sheetPixel(images[0].data, 5, 5), [0xf4, 0xf4, 0xf5]);
+      assert.deepEqual(sheetPixel(images[0].data, 32 + 25, 32 + 48 + 50), [255, 0, 0]);
+      assert.deepEqual(sheetPixel(images[0].data, 32 + 50 + 32 + 80, 32 + 48 + 50), [0, 0, 255]);
+      assert.match(textOf(result), /\[fridge_door\] failed: PageBolt API error: Unknown device preset/);
+    },
+  );
+});
+
+test('crawl_site follows same-origin links, stops at its budget and resumes from the manifest', async () => {
+  const outDir = mkdtempSync(join(process.cwd(), '.test-output-'));
+  const links = {
+    'https://crawl.example.com/': ['/about', '/blog/a', 'https://other.example.com/x', '/logo.png', '/admin/users', '/about#team'],
+  };
+  const captured = [];
+  try {
+    await withClient(
+      (url, method, body) => {
+        if (url === 'https://crawl.example.com/sitemap.xml') {
+          return bytesResponse(Buffer.from(
+            '<?xml version="1.0"?><urlset><url><loc>https://crawl.example.com/pricing?a=1&amp;b=2</loc></url>' +
+            '<url><loc>https://crawl.example.com/admin/</loc></url><url><loc>https://elsewhere.example.com/</loc></url></urlset>',
+          ));
+        }
+        if (url.endsWith('/api/v1/inspect')) {
+          return jsonResponse({ url: body.url, links: (links[body.url] || []).map((href) => ({ href })) });
+        }
+        if (url.endsWith('/api/v1/screenshot') || url.endsWith('/api/v1/pdf')) {
+          captured.push(`${url.endsWith('/pdf') ? 'pdf' : 'png'} ${body.url}`);
+          return jsonResponse({ data: Buffer.from(body.url).toString('base64'), size_bytes: 10, duration_ms: 5 });
+        }
+        throw new Error(`unexpected request ${url}`);
+      },
+      async (client) => {
+        const args = { url: 'https://crawl.example.com/', outputDir: outDir, maxDepth: 1, exclude: ['/admin/*'] };
+        // The start page costs 2 (inspect + capture), each linked page 1.
+        const first = await client.callTool({ name: 'crawl_site', arguments: { ...args, budget: 3 } });
+        assert.equal(first.isError, undefined, textOf(first));
+        assert.equal(first.structuredContent.stopped_reason, 'budget');
+        assert.equal(first.structuredContent.captured, 2);
+        assert.equal(first.structuredContent.queued, 1);
+        assert.equal(first.structuredContent.spend.cost, 3);
+        assert.deepEqual(captured, ['png https://crawl.example.com/', 'png https://crawl.example.com/about']);
+        const manifest = JSON.parse(readFileSync(join(outDir, 'index.json'), 'utf8'));
+        assert.deepEqual(manifest.queue, [{ url: 'https://crawl.example.com/blog/a', depth: 1 }]);
+        assert.equal(manifest.pages[1].file, 'crawl.example.com-about.png');
+
+        const second = await client.callTool({ name: 'crawl_site', arguments: args });
+        assert.equal(second.structuredContent.stopped_reason, 'complete');
+        assert.equal(second.structuredContent.resumed, true);
+        assert.equal(second.structuredContent.total_captured, 3);
+        assert.equal(second.structuredContent.spend.cost, 1);
+        assert.equal(readFileSync(join(outDir, 'crawl.example.com-blog-a.png'), 'utf8'), 'https://crawl.example.com/blog/a');
+
+        const other = await client.callTool({ name: 'crawl_site', arguments: { ...args, url: 'https://crawl.example.com/about' } });
+        assert.equal(other.isError, true);
+        assert.match(textOf(other), /belongs to a crawl of https:\/\/crawl\.example\.com\//);
+        for (const changed of [{ capture: 'pdf' }, { format: 'jpeg' }]) {
+          const mixed = await client.callTool({ name: 'crawl_site', arguments: { ...args, ...changed } });
+          assert.equal(mixed.isError, true);
+          assert.match(textOf(mixed), /belongs to a crawl of https:\/\/crawl\.example\.com\/ \(screenshot, \.png files\)/);
+        }
+
+        // A sitemap crawl captures only the listed same-origin pages.
+        const pdfDir = join(outDir, 'pdf');
+        const fromSitemap = await client.callTool({
+          name: 'crawl_site',
+          arguments: { sitemap: 'https://crawl.example.com/sitemap.xml', outputDir: pdfDir, capture: 'pdf', exclude: ['/admin/*'] },
+        });
+        assert.equal(fromSitemap.structuredContent.stopped_reason, 'complete');
+        assert.deepEqual(fromSitemap.structuredContent.pages.map((p) => p.url), ['https://crawl.example.com/pricing?a=1&b=2']);
+        assert.equal(captured.at(-1), 'pdf https://crawl.example.com/pricing?a=1&b=2');
+        assert.match(fromSitemap.structuredContent.pages[0].file, /crawl\.example\.com-pricing-a-1-b-2\.pdf$/);
+      },
+    );
+  } finally {
+    rmSync(outDir, { recursive: true, force: true });
+  }
+});
+
+test('crawl_site only fetches sitemaps on the crawl origin and refuses private hosts', async () => {
+  const outDir = mkdtempSync(join(process.cwd(), '.test-output-'));
+  const fetched = [];
+  try {
+    await withClient(
+      (url) => {
+        fetched.push(url);
+        if (url === 'https://site.example.com/sitemap.xml') {
+          return bytesResponse(Buffer.from('<sitemapindex><sitemap><loc>http://169.254.169.254/latest/meta-data</loc></sitemap></sitemapindex>'));
+        }
+        if (url === 'https://site.example.com/moved.xml') {
+          return jsonResponse({}, { status: 302, headers: { location: 'http://127.0.0.1:8080/admin.xml' } });
+        }
+        if (url === 'https://site.example.com/huge.xml') {
+          return jsonResponse({}, { headers: { 'content-length': String(64 * 1024 * 1024) } });
+        }
+        return jsonResponse({ error: 'unexpected' }, { status: 500 });
+      },
+      async (client) => {
+        await client.listTools();
+        const crawl = (args) => client.callTool({ name: 'crawl_site', arguments: { outputDir: outDir, resume: false, ...args } });
+
+        const child = await crawl({ sitemap: 'https://site.example.com/sitemap.xml' });
+        assert.equal(child.isError, true);
+        assert.match(textOf(child), /169\.254\.169\.254.* is not on the crawl origin https:\/\/site\.example\.com/);
+
+        const redirected = await crawl({ sitemap: 'https://site.example.com/moved.xml' });
+        assert.match(textOf(redirected), /127\.0\.0\.1:8080.* is not on the crawl origin/);
+
+        const offOrigin = await crawl({ url: 'https://site.example.com/', sitemap: 'https://other.example.com/sitemap.xml' });
+        assert.match(textOf(offOrigin), /other\.example\.com.* is not on the crawl origin/);
+
+        const local = await crawl({ sitemap: 'http://localhost:3000/sitemap.xml' });
+        assert.match(textOf(local), /private or loopback host/);
+
+        // A public name that also resolves to loopback, and IPv6 forms of IPv4 addresses.
+        const rebound = await crawl({ sitemap: 'https://rebind.example.com/sitemap.xml' });
+        assert.match(textOf(rebound), /private or loopback address \(127\.0\.0\.1\)/);
+        for (const host of ['[::7f00:1]', '[::ffff:169.254.169.254]', '169.254.169.254']) {
+          const literal = await crawl({ sitemap: `http://${host}/sitemap.xml` });
+          assert.match(textOf(literal), /private or loopback address/, host);
+        }
+
+        // A dry run does not fetch the sitemap.
+        const dry = await crawl({ sitemap: 'https://site.example.com/sitemap.xml', dryRun: true });
+        assert.equal(dry.isError, undefined, textOf(dry));
+        assert.equal(dry.structuredContent.dry_run.body.url, '<each page listed in https://site.example.com/sitemap.xml>');
+
+        const huge = await crawl({ sitemap: 'https://site.example.com/huge.xml' });
+        assert.match(textOf(huge), /larger than 10 MB/);
+
+        assert.deepEqual(fetched, ['https://site.example.com/sitemap.xml', 'https://site.example.com/moved.xml', 'https://site.example.com/huge.xml']);
+      },
+    );
+  } finally {
+    rmSync(outDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,161 @@
+// Tracing tests for the PageBolt MCP server.
+//
+// Tracing is decided when the module loads, so these run in their own file
+// (node --test gives each file its own process) with PAGEBOLT_OTEL=1 and an
+// in-memory span exporter registered as the global tracer provider. The
+// OpenTelemetry packages are devDependencies; the server only peer-depends on
+// them. Run with: `npm test`.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { trace, context } from '@opentelemetry/api';
+import { BasicTracerProvider, InMemorySpanExporter, SimpleSpanProcessor } from '@opentelemetry/sdk-trace-base';
+import { AsyncLocalStorageContextManager } from '@opentelemetry/context-async-hooks';
+
+// Must be set BEFORE importing the server module (see tools.test.mjs).
+process.env.PAGEBOLT_MCP_NO_AUTOSTART = '1';
+process.env.PAGEBOLT_API_KEY = 'pf_test_key';
+process.env.PAGEBOLT_BASE_URL = 'https://pagebolt.dev';
+process.env.PAGEBOLT_RETRY_BASE_MS = '5';
+process.env.PAGEBOLT_LOG_LEVEL = 'error';
+process.env.PAGEBOLT_OTEL = '1';
+
+// Without @opentelemetry/sdk-trace-node installed the server uses whatever
+// provider the host registered: this one.
+const exporter = new InMemorySpanExporter();
+context.setGlobalContextManager(new AsyncLocalStorageContextManager().enable());
+trace.setGlobalTracerProvider(new BasicTracerProvider({ spanProcessors: [new SimpleSpanProcessor(exporter)] }));
+
+const { createSandboxServer } = await import('../src/index.mjs');
+const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = await import('@modelcontextprotocol/sdk/inMemory.js');
+
+function jsonResponse(body, { status = 200 } = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: `HTTP ${status}`,
+    headers: { get: () => null },
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+    arrayBuffer: async () => Buffer.from(JSON.stringify(body)),
+  };
+}
+
+// Connect a fresh client/server pair, routing all HTTP through `handler`.
+async function withClient(handler, fn) {
+  const prevFetch = global.fetch;
+  global.fetch = async (url, options = {}) => handler(String(url), options.method || 'GET', options.body ? JSON.parse(options.body) : undefined);
+  const server = createSandboxServer();
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const client = new Client({ name: 'test', version: '0' });
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  try {
+    await fn(client);
+  } finally {
+    global.fetch = prevFetch;
+    await client.close();
+    await server.close();
+  }
+}
+
+function toolSpan(name) {
+  const spans = exporter.getFinishedSpans().filter((s) => s.name === `tool ${name}`);
+  assert.equal(spans.length, 1, `one "tool ${name}" span`);
+  return spans[0];
+}
+
+function childrenOf(span) {
+  const { spanId } = span.spanContext();
+  return exporter.getFinishedSpans()
+    .filter((s) => s.parentSpanContext && s.parentSpanContext.spanId === spanId)
+    .sort((a, b) => a.startTime[0] - b.startTime[0] || a.startTime[1] - b.startTime[1]);
+}
+
+test('a tool span has one child span per API attempt, with the endpoint, status and cost', async () => {
+  exporter.reset();
+  let shots = 0;
+  await withClient(
+    (url) => {
+      assert.ok(url.endsWith('/api/v1/screenshot'));
+      shots++;
+      if (shots === 1) return jsonResponse({ error: 'busy' }, { status: 503 });
+      return jsonResponse({ data: 'iVBORw0K', format: 'png', size_bytes: 6, duration_ms: 50 });
+    },
+    async (client) => {
+      const shot = await client.callTool({ name: 'take_screenshot', arguments: { url: 'https://trace.example.com/' } });
+      assert.equal(shot.isError, undefined);
+    },
+  );
+
+  const tool = toolSpan('take_screenshot');
+  assert.equal(tool.attributes['mcp.tool.name'], 'take_screenshot');
+  assert.equal(tool.attributes['pagebolt.cost'], 1);
+  assert.equal(tool.attributes['pagebolt.cost.estimated'], 1);
+
+  const attempts = childrenOf(tool);
+  assert.deepEqual(attempts.map((s) => s.name), ['PageBolt POST /api/v1/screenshot', 'PageBolt POST /api/v1/screenshot']);
+  assert.deepEqual(attempts.map((s) => s.attributes['pagebolt.attempt']), [0, 1]);
+  assert.deepEqual(attempts.map((s) => s.attributes['http.response.status_code']), [503, 200]);
+  assert.equal(attempts[0].attributes['pagebolt.endpoint'], '/api/v1/screenshot');
+  assert.equal(attempts[0].attributes['pagebolt.request_id'], attempts[1].attributes['pagebolt.request_id']);
+  assert.equal(attempts[0].status.code, 2); // SpanStatusCode.ERROR
+  assert.notEqual(attempts[1].status.code, 2);
+});
+
+test('record_video traces each job poll and the video download under the tool span', async () => {
+  exporter.reset();
+  const outDir = mkdtempSync(join(process.cwd(), '.test-output-'));
+  const out = join(outDir, 'traced.mp4');
+  let polls = 0;
+  try {
+    await withClient(
+      (url, method) => {
+        if (url.endsWith('/api/v1/video') && method === 'POST') {
+          return jsonResponse({ job_id: 'job_trace', status: 'queued' }, { status: 202 });
+        }
+        if (url.endsWith('/api/v1/jobs/job_trace')) {
+          polls++;
+          if (polls === 1) return jsonResponse({ id: 'job_trace', status: 'processing' });
+          return jsonResponse({ id: 'job_trace', status: 'completed', output: { format: 'mp4', file_url: 'https://pagebolt.dev/v/job_trace/file' } });
+        }
+        if (url === 'https://pagebolt.dev/v/job_trace/file') {
+          return { ok: true, status: 200, headers: { get: () => null }, arrayBuffer: async () => Buffer.from('TRACED') };
+        }
+        throw new Error(`unexpected request ${method} ${url}`);
+      },
+      async (client) => {
+        const video = await client.callTool({
+          name: 'record_video',
+          arguments: { steps: [{ action: 'navigate', url: 'https://example.com' }], async: true, saveTo: out },
+        });
+        assert.equal(video.isError, undefined, JSON.stringify(video.content));
+        assert.equal(readFileSync(out, 'utf8'), 'TRACED');
+      },
+    );
+  } finally {
+    rmSync(outDir, { recursive: true, force: true });
+  }
+
+  const tool = toolSpan('record_video');
+  assert.equal(tool.attributes['pagebolt.job_id'], 'job_trace');
+  assert.equal(tool.attributes['pagebolt.cost'], 3);
+
+  const children = childrenOf(tool);
+  assert.deepEqual(children.map((s) => s.name), ['PageBolt POST /api/v1/video', 'PageBolt poll job', 'PageBolt poll job', 'PageBolt video download']);
+  const pollSpans = children.filter((s) => s.name === 'PageBolt poll job');
+  assert.deepEqual(pollSpans.map((s) => s.attributes['pagebolt.poll.iteration']), [0, 1]);
+  assert.deepEqual(pollSpans.map((s) => s.attributes['pagebolt.job.status']), ['processing', 'completed']);
+  assert.ok(pollSpans.every((s) => s.attributes['pagebolt.job_id'] === 'job_trace'));
+  // Each poll wraps its own API attempt.
+  for (const poll of pollSpans) {
+    assert.deepEqual(childrenOf(poll).map((s) => [s.name, s.attributes['http.response.status_code']]), [['PageBolt GET /api/v1/jobs/job_trace', 200]]);
+  }
+
+  const download = children.at(-1);
+  assert.equal(download.attributes['pagebolt.job_id'], 'job_trace');
+  assert.equal(download.attributes['http.response.status_code'], 200);
+  assert.equal(download.attributes['pagebolt.download.bytes'], 6);
+});